@@ -2,6 +2,7 @@
  * TechPioneers - Main JavaScript Entry Point
  *
  * This file initializes all modules and components:
+ * - Language (detected locale, translated static text, switcher)
  * - Theme switcher
  * - Navigation (mobile/desktop)
  * - Scroll animations
@@ -11,15 +12,40 @@
 // Import modules
 import Navigation from "./modules/navigation.js";
 import ThemeSwitcher from "./modules/theme-switcher.js";
+import LanguageSwitcher from "./modules/language-switcher.js";
 import Modal from "./modules/modal.js";
-import Carousel from "./modules/carousel.js";
+import Compare from "./modules/compare.js";
+import Router from "./modules/router.js";
+import Search from "./modules/search.js";
+import PioneerFilters from "./modules/pioneer-filters.js";
+import Favorites from "./modules/favorites.js";
+import Timeline from "./modules/timeline.js";
+import Resources from "./modules/resources.js";
 import AnimationController from "./modules/animations.js";
+import {
+  renderPioneerCarousel,
+  CARD_VARIANTS,
+} from "./modules/pioneer-cards.js";
 import initWebPDetection from "./utils/webp-detection.js";
+import { detectLocale, setLocale, translateStatic } from "./utils/i18n.js";
+import loadPioneerData from "./utils/pioneer-data.js";
+import loadTimelineData from "./utils/timeline-data.js";
+import loadResourceData from "./utils/resource-data.js";
+
+// Pioneer profile route: /pioneer/<id>
+const PIONEER_ROUTE = /^\/pioneer\/([a-z0-9]+(?:-[a-z0-9]+)*)\/?$/;
+
+// Comparison route: /compare/<id>,<id>[,<id>] (ids checked by Compare)
+const COMPARE_ROUTE = /^\/compare\/([a-z0-9,-]+)\/?$/;
 
 /**
  * Initialize application
  */
 async function init() {
+  // Pick the locale and translate the static markup before anything renders
+  setLocale(detectLocale());
+  translateStatic();
+
   // Initialize WebP detection (runs first for optimal image loading)
   await initWebPDetection();
 
@@ -27,36 +53,168 @@ async function init() {
   const themeSwitcher = new ThemeSwitcher();
   themeSwitcher.init();
 
+  // Initialize language switcher
+  const languageSwitcher = new LanguageSwitcher();
+  languageSwitcher.init();
+
   // Initialize navigation (init is called automatically in constructor)
   new Navigation();
 
-  // Initialize modal
-  const modal = new Modal();
-  modal.init();
+  // Load pioneer dataset (shared by the modal and carousels)
+  const { pioneers, byId: pioneersById } = await loadPioneerData();
 
-  // Initialize scroll animations
-  const animationController = new AnimationController();
-  animationController.init();
+  // Carousel instances by element (the modal keeps its source in sync)
+  const carousels = new Map();
 
-  // Initialize carousels
+  // Render carousels from data (before animations pick up the cards)
   const featuredCarousel = document.querySelector('[data-carousel="featured"]');
   if (featuredCarousel) {
-    new Carousel(featuredCarousel, {
-      infinite: false,
-      autoplay: false,
-    });
+    const carousel = renderPioneerCarousel(
+      featuredCarousel,
+      pioneers.filter((pioneer) => pioneer.featured),
+      CARD_VARIANTS.FEATURED,
+      {
+        infinite: true,
+        autoplay: false,
+        indicators: "dots",
+        responsive: {
+          768: { slidesToShow: 2 },
+          1024: { slidesToShow: 4 },
+        },
+      }
+    );
+    carousels.set(featuredCarousel, carousel);
   }
 
   const morePioneersCarousel = document.querySelector(
     '[data-carousel="more-pioneers"]'
   );
   if (morePioneersCarousel) {
-    new Carousel(morePioneersCarousel, {
+    const morePioneers = pioneers.filter((pioneer) => !pioneer.featured);
+    const carousel = renderPioneerCarousel(
+      morePioneersCarousel,
+      morePioneers,
+      CARD_VARIANTS.CLICKABLE,
+      {
+        infinite: false,
+        autoplay: false,
+        indicators: "dots",
+        responsive: {
+          768: { slidesToShow: 2 },
+          1440: { slidesToShow: 3 },
+        },
+      }
+    );
+    carousels.set(morePioneersCarousel, carousel);
+
+    // Filter & sort controls rebuild the carousel slides
+    const filters = new PioneerFilters(
+      document.querySelector("[data-pioneer-filters]"),
+      {
+        pioneers: morePioneers,
+        carousel,
+        variant: CARD_VARIANTS.CLICKABLE,
+      }
+    );
+    filters.init();
+  }
+
+  // Favorite toggles on every card and the My Favorites carousel
+  const favorites = new Favorites(document.getElementById("favorites"), {
+    pioneers: pioneersById,
+    carouselOptions: {
       infinite: false,
       autoplay: false,
-    });
+      indicators: "dots",
+      responsive: {
+        768: { slidesToShow: 2 },
+        1440: { slidesToShow: 3 },
+      },
+    },
+  });
+  favorites.init();
+  if (favorites.carousel) {
+    carousels.set(favorites.carouselElement, favorites.carousel);
   }
 
+  // Render the timeline from data (before search indexes it and
+  // animations pick up its items)
+  const { categories, events } = await loadTimelineData();
+  const timeline = new Timeline(document.getElementById("timeline"), {
+    categories,
+    events,
+    pioneers: pioneersById,
+  });
+  timeline.init();
+
+  // Render resources from data (also listed in pioneer profiles)
+  const resourceData = await loadResourceData();
+  const resources = new Resources(document.getElementById("resources"), {
+    categories: resourceData.categories,
+    types: resourceData.types,
+    resources: resourceData.resources,
+    pioneers: pioneersById,
+  });
+  resources.init();
+
+  // Initialize modal
+  const modal = new Modal(pioneersById, {
+    resourcesByPioneer: resourceData.byPioneer,
+  });
+  modal.init();
+
+  // Initialize pioneer comparison (same records as the modal)
+  const compare = new Compare({ pioneers: modal.pioneersData });
+  compare.init();
+
+  // Initialize router (deep links such as #/pioneer/radia-perlman)
+  const router = new Router();
+  router.addRoute("pioneer", PIONEER_ROUTE, {
+    enter: (pioneerId) => modal.open(pioneerId),
+    leave: () => modal.close(),
+  });
+  modal.modalBackdrop?.addEventListener("modal:open", (e) => {
+    router.navigate(`/pioneer/${e.detail.pioneerId}`);
+  });
+  modal.modalBackdrop?.addEventListener("modal:change", (e) => {
+    const { pioneerId, source, slideIndex } = e.detail;
+
+    // Browsing inside the modal replaces the history entry
+    router.navigate(`/pioneer/${pioneerId}`, { replace: true });
+
+    // Keep the carousel the modal was opened from in step
+    if (slideIndex !== -1) {
+      carousels.get(source)?.goToSlide(slideIndex);
+    }
+  });
+  modal.modalBackdrop?.addEventListener("modal:close", () => router.exit());
+
+  // Comparison deep links (#/compare/vint-cerf,radia-perlman)
+  router.addRoute("compare", COMPARE_ROUTE, {
+    enter: (ids) => compare.open(ids.split(",")),
+    leave: () => compare.close(),
+  });
+  compare.backdrop?.addEventListener("compare:open", (e) => {
+    router.navigate(`/compare/${e.detail.ids.join(",")}`);
+  });
+  compare.backdrop?.addEventListener("compare:change", (e) => {
+    // Removing a pioneer replaces the history entry
+    router.navigate(`/compare/${e.detail.ids.join(",")}`, { replace: true });
+  });
+  compare.backdrop?.addEventListener("compare:close", () => router.exit());
+  router.init();
+
+  // Initialize header search
+  const search = new Search({
+    pioneers: pioneersById,
+    onSelectPioneer: (pioneerId) => modal.open(pioneerId),
+  });
+  search.init();
+
+  // Initialize scroll animations
+  const animationController = new AnimationController();
+  animationController.init();
+
   // Confirm initialization (development only)
   if (import.meta.env.DEV) {
     // Initialization complete
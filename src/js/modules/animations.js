@@ -5,6 +5,8 @@
  * - Fade-in effects for elements entering viewport
  * - Slide-in effects (from different directions)
  * - Stagger animations for lists and groups
+ * - Interactive cards, timeline events and resources stay focusable
+ *   while hidden and reveal on focus
  * - Respects user's prefers-reduced-motion preference
  * - Performance optimized with Intersection Observer
  */
@@ -76,9 +78,9 @@ class AnimationController {
       "[data-animate]", // Elements with explicit animation data attribute
       ".hero__content", // Hero section content
       ".section__title", // Section titles
-      ".pioneer-card--featured", // Only featured pioneer cards (non-clickable)
+      ".pioneer-card--featured", // Featured pioneer cards (may be interactive)
       ".timeline__item", // Timeline items
-      ".resource-item", // Resource items
+      ".resources__item", // Resource items
     ];
 
     // Find all elements and set up animations
@@ -111,6 +113,14 @@ class AnimationController {
     // Add initial state classes
     element.classList.add("animate-hidden");
 
+    // Keep interactive items reachable by keyboard before they animate
+    if (this.isInteractiveItem(element)) {
+      element.classList.add("animate-interactive");
+      element.addEventListener("focusin", () => this.reveal(element), {
+        once: true,
+      });
+    }
+
     if (isStaggered) {
       // Handle staggered animations for groups
       this.setupStaggeredGroup(element);
@@ -137,10 +147,12 @@ class AnimationController {
       return true;
     }
 
-    // Skip elements that contain clickable buttons
+    // Skip elements that contain clickable buttons (interactive items
+    // are handled in setupElement instead)
     if (
-      element.querySelector("button") ||
-      element.querySelector("[role='button']")
+      !this.isInteractiveItem(element) &&
+      (element.querySelector("button") ||
+        element.querySelector("[role='button']"))
     ) {
       return true;
     }
@@ -158,6 +170,21 @@ class AnimationController {
     return false;
   }
 
+  /**
+   * Check if element is an item with controls that animates anyway
+   * (pioneer cards that open the profile modal, timeline events with a
+   * details toggle, resources and their links)
+   * @param {HTMLElement} element - Element to check
+   * @returns {boolean} Whether element is an interactive item
+   */
+  isInteractiveItem(element) {
+    return (
+      element.classList.contains("pioneer-card--interactive") ||
+      element.classList.contains("timeline__item") ||
+      element.classList.contains("resources__item")
+    );
+  }
+
   /**
    * Setup staggered animations for groups (like carousel items, timeline items)
    * @param {HTMLElement} container - Container element
@@ -210,7 +237,7 @@ class AnimationController {
       return "slideLeft";
     }
 
-    if (element.classList.contains("resource-item")) {
+    if (element.classList.contains("resources__item")) {
       return "slideUp";
     }
 
@@ -268,11 +295,11 @@ class AnimationController {
       container.classList.contains("resources__grid") ||
       container.querySelector(".resources__grid")
     ) {
-      itemSelector = ".resource-item";
+      itemSelector = ".resources__item";
     } else {
       // Generic fallback
       itemSelector =
-        "[data-stagger-item], .pioneer-card, .timeline__item, .resource-item";
+        "[data-stagger-item], .pioneer-card, .timeline__item, .resources__item";
     }
 
     return Array.from(container.querySelectorAll(itemSelector));
@@ -284,16 +311,29 @@ class AnimationController {
    */
   handleIntersection(entries) {
     entries.forEach((entry) => {
-      if (entry.isIntersecting && !this.animatedElements.has(entry.target)) {
-        this.animateElement(entry.target);
-        this.animatedElements.add(entry.target);
-
-        // Stop observing animated elements to improve performance
-        this.observer.unobserve(entry.target);
+      if (entry.isIntersecting) {
+        this.reveal(entry.target);
       }
     });
   }
 
+  /**
+   * Animate an element once (on intersection, or on focus for
+   * interactive cards)
+   * @param {HTMLElement} element - Element to reveal
+   */
+  reveal(element) {
+    if (this.animatedElements.has(element)) {
+      return;
+    }
+
+    this.animateElement(element);
+    this.animatedElements.add(element);
+
+    // Stop observing animated elements to improve performance
+    this.observer?.unobserve(element);
+  }
+
   /**
    * Animate an element based on its animation type
    * @param {HTMLElement} element - Element to animate
@@ -370,7 +410,7 @@ class AnimationController {
       ".section__title",
       ".pioneer-card--featured",
       ".timeline__item",
-      ".resource-item",
+      ".resources__item",
     ];
 
     animatableSelectors.forEach((selector) => {
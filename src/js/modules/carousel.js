@@ -2,54 +2,276 @@
  * Carousel Module
  *
  * A custom vanilla JS carousel implementation with:
- * - Touch/swipe support for mobile
+ * - Pointer dragging (touch, mouse, pen) with momentum and edge resistance
  * - Keyboard navigation (arrow keys)
  * - Previous/Next navigation buttons
  * - Smooth slide transitions
- * - Responsive design (adapts to viewport)
+ * - Responsive layout per instance (responsive option or data- attributes)
  * - Accessibility support
+ * - Dynamic slides (addSlide/removeSlide/refresh) and full teardown
+ * - Custom events: carousel:init, carousel:change, carousel:destroy
+ * - Optional indicators: pagination dots (tabs) or a "3 / 8" counter
+ * - Seamless infinite looping with cloned edge slides
+ * - Lazy-loads deferred slide images around the visible window
+ * - Autoplay with a pause/play toggle and optional progress bar; pauses
+ *   on hover, focus, hidden tabs and reduced motion
+ * - Labels and announcements from the i18n message catalogs
  */
 
+import { t } from "../utils/i18n.js";
+
+// Used to build unique slide ids for carousels without an id
+let carouselCount = 0;
+
+// Drag tuning (distances in px, times in ms, velocities in px/ms)
+const DRAG_INTENT_DISTANCE = 8;
+const SWIPE_THRESHOLD = 50;
+const FLICK_VELOCITY = 0.3;
+const MOMENTUM_TIME = 300;
+const VELOCITY_WINDOW = 100;
+const EDGE_RESISTANCE = 0.35;
+
+// Real slides (loop clones excluded)
+const SLIDE_SELECTOR = ".carousel__slide:not(.carousel__slide--clone)";
+
+// Options that can be set with data- attributes, by type
+const DATA_OPTIONS = {
+  slidesToShow: "number",
+  slidesToScroll: "number",
+  speed: "number",
+  gap: "number",
+  autoplaySpeed: "number",
+  infinite: "boolean",
+  autoplay: "boolean",
+  autoplayProgress: "boolean",
+  indicators: "string",
+  responsive: "json",
+};
+
+/**
+ * Read carousel options from data- attributes
+ * e.g. data-slides-to-show="2" or data-responsive='{"768":{"slidesToShow":3}}'
+ * @param {HTMLElement} element - The carousel container element
+ * @returns {Object} Options found on the element
+ */
+function getDataOptions(element) {
+  const options = {};
+
+  Object.entries(DATA_OPTIONS).forEach(([name, type]) => {
+    const value = element.dataset[name];
+
+    if (value === undefined) {
+      return;
+    }
+
+    if (type === "number") {
+      const number = Number(value);
+      if (Number.isFinite(number)) {
+        options[name] = number;
+      }
+    } else if (type === "boolean") {
+      options[name] = value !== "false";
+    } else if (type === "json") {
+      try {
+        options[name] = JSON.parse(value);
+      } catch {
+        console.warn(`Invalid carousel data-${name} attribute:`, value);
+      }
+    } else {
+      options[name] = value === "false" ? false : value;
+    }
+  });
+
+  return options;
+}
+
+/**
+ * Load deferred images (data-src/data-srcset) inside an element
+ * @param {HTMLElement} element - Slide or other container
+ */
+function loadDeferredImages(element) {
+  element.querySelectorAll("[data-src], [data-srcset]").forEach((media) => {
+    if (media.dataset.srcset) {
+      media.srcset = media.dataset.srcset;
+      delete media.dataset.srcset;
+    }
+    if (media.dataset.src) {
+      media.src = media.dataset.src;
+      delete media.dataset.src;
+    }
+  });
+}
+
+/**
+ * Clone a slide for the infinite loop
+ * Clones are hidden from assistive technology and can't take focus.
+ * @param {HTMLElement} slide - Slide to clone
+ * @returns {HTMLElement} Clone without ids
+ */
+function createClone(slide) {
+  const clone = slide.cloneNode(true);
+
+  clone.classList.add("carousel__slide--clone");
+  clone.setAttribute("aria-hidden", "true");
+  clone.setAttribute("inert", "");
+  clone.removeAttribute("id");
+  clone.querySelectorAll("[id]").forEach((element) => {
+    element.removeAttribute("id");
+  });
+
+  return clone;
+}
+
+/**
+ * Normalize the responsive option into breakpoints sorted by width
+ * @param {Object} responsive - Min viewport width → layout settings, e.g.
+ *   { 768: { slidesToShow: 2 }, 1024: { slidesToShow: 4 } }
+ * @returns {{minWidth: number, settings: Object}[]} Breakpoints, narrowest
+ *   first
+ */
+function getBreakpoints(responsive) {
+  if (!responsive || typeof responsive !== "object") {
+    return [];
+  }
+
+  return Object.entries(responsive)
+    .map(([minWidth, layout]) => {
+      const settings = {};
+
+      ["slidesToShow", "slidesToScroll"].forEach((name) => {
+        if (Number.isInteger(layout?.[name]) && layout[name] > 0) {
+          settings[name] = layout[name];
+        }
+      });
+
+      return { minWidth: Number(minWidth), settings };
+    })
+    .filter(({ minWidth }) => Number.isFinite(minWidth))
+    .sort((a, b) => a.minWidth - b.minWidth);
+}
+
+/**
+ * Get the layout for a viewport width
+ * Applies every breakpoint the width has reached, in order, on top of the
+ * base layout.
+ * @param {{slidesToShow: number, slidesToScroll: number}} baseLayout -
+ *   Layout below the first breakpoint
+ * @param {{minWidth: number, settings: Object}[]} breakpoints - See
+ *   getBreakpoints
+ * @param {number} width - Viewport width in px
+ * @returns {{slidesToShow: number, slidesToScroll: number}} Layout
+ */
+function getLayout(baseLayout, breakpoints, width) {
+  const layout = { ...baseLayout };
+
+  breakpoints.forEach(({ minWidth, settings }) => {
+    if (width >= minWidth) {
+      Object.assign(layout, settings);
+    }
+  });
+
+  return layout;
+}
+
+/**
+ * Get how many slides a carousel shows at the current viewport width
+ * Resolves options like the constructor, for slides rendered before the
+ * carousel is created.
+ * @param {HTMLElement} element - The carousel container element
+ * @param {Object} options - Options that will be passed to Carousel
+ * @returns {number} Slides per view
+ */
+export function getSlidesToShow(element, options = {}) {
+  const config = { ...getDataOptions(element), ...options };
+  const baseLayout = {
+    slidesToShow: config.slidesToShow || 1,
+    slidesToScroll: config.slidesToScroll || 1,
+  };
+
+  return getLayout(
+    baseLayout,
+    getBreakpoints(config.responsive),
+    window.innerWidth
+  ).slidesToShow;
+}
+
 class Carousel {
   /**
    * Initialize carousel
+   * Options can also be set on the element as data- attributes
+   * (data-slides-to-show, data-responsive, data-gap, ...); options passed
+   * here take precedence.
    * @param {HTMLElement} element - The carousel container element
    * @param {Object} options - Configuration options
+   * @param {string|false} options.indicators - "dots", "counter" or false
+   * @param {boolean} options.autoplayProgress - Show autoplay progress
+   * @param {Object} options.responsive - Layout per min viewport width,
+   *   e.g. { 768: { slidesToShow: 2, slidesToScroll: 1 } }
+   * @param {number} options.gap - Gap between slides in px (defaults to the
+   *   --carousel-slide-gap CSS value)
    */
   constructor(element, options = {}) {
     this.carousel = element;
+    this.id = element.id || `carousel-${++carouselCount}`;
     this.viewport = element.querySelector(".carousel__viewport");
     this.track = element.querySelector(".carousel__track");
-    this.slides = Array.from(element.querySelectorAll(".carousel__slide"));
+    this.slides = Array.from(element.querySelectorAll(SLIDE_SELECTOR));
     this.prevButton = element.querySelector(".carousel__button--prev");
     this.nextButton = element.querySelector(".carousel__button--next");
 
-    // Configuration options
+    // Configuration options (data- attributes, then constructor options)
+    const config = { ...getDataOptions(element), ...options };
+
     this.options = {
-      slidesToShow: options.slidesToShow || 1,
-      slidesToScroll: options.slidesToScroll || 1,
-      infinite: options.infinite !== undefined ? options.infinite : false,
-      autoplay: options.autoplay || false,
-      autoplaySpeed: options.autoplaySpeed || 3000,
-      speed: options.speed || 300,
-      ...options,
+      slidesToShow: config.slidesToShow || 1,
+      slidesToScroll: config.slidesToScroll || 1,
+      infinite: config.infinite !== undefined ? config.infinite : false,
+      autoplay: config.autoplay || false,
+      autoplaySpeed: config.autoplaySpeed || 3000,
+      autoplayProgress: config.autoplayProgress || false,
+      speed: config.speed || 300,
+      indicators: config.indicators || false,
+      gap: config.gap ?? null,
+      ...config,
+      responsive: getBreakpoints(config.responsive),
+    };
+
+    // Layout below the first breakpoint
+    this.baseLayout = {
+      slidesToShow: this.options.slidesToShow,
+      slidesToScroll: this.options.slidesToScroll,
     };
 
     // State
     this.currentIndex = 0;
     this.totalSlides = this.slides.length;
     this.isDragging = false;
+    this.dragIntent = null;
+    this.pointerId = null;
     this.startPos = 0;
+    this.startPosY = 0;
+    this.dragSamples = [];
+    this.suppressClick = false;
     this.currentTranslate = 0;
     this.prevTranslate = 0;
-    this.autoplayInterval = null;
+    this.slideStep = 0;
+    this.autoplayTimeout = null;
+    this.autoplayStartedAt = 0;
+    this.autoplayRemaining = 0;
+    this.autoplayToggle = null;
+    this.autoplayProgress = null;
 
-    // Responsive breakpoints
-    this.breakpoints = {
-      mobile: 768,
-      tablet: 1024,
-      desktop: 1440,
-    };
+    // Why autoplay is paused ("user", "reduced-motion", "hover", "focus",
+    // "hidden", "drag"); it only runs while this is empty
+    this.autoplayPauseReasons = new Set();
+    this.resizeTimeout = null;
+    this.animationTimeout = null;
+    this.initialized = false;
+    this.indicators = null;
+    this.cloneCount = 0;
+
+    // Listeners added by the carousel (removed in destroy)
+    this.listeners = [];
 
     // Initialize
     if (this.carousel && this.track && this.slides.length > 0) {
@@ -61,52 +283,250 @@ class Carousel {
    * Initialize carousel
    */
   init() {
+    if (this.options.gap !== null) {
+      this.carousel.style.setProperty(
+        "--carousel-slide-gap",
+        `${this.options.gap}px`
+      );
+    }
+
     this.updateSlidesToShow();
     this.setupEventListeners();
+    this.updateClones();
     this.updateCarousel();
     this.updateButtons();
+    this.renderIndicators();
 
     // Handle window resize
-    let resizeTimeout;
-    window.addEventListener("resize", () => {
-      clearTimeout(resizeTimeout);
-      resizeTimeout = setTimeout(() => {
+    this.addListener(window, "resize", () => {
+      clearTimeout(this.resizeTimeout);
+      this.resizeTimeout = setTimeout(() => {
         this.updateSlidesToShow();
-        this.goToSlide(this.currentIndex, false);
+        this.updateClones();
+        this.renderIndicators();
+        this.goToSlide(this.getRealIndex(), false);
         this.updateButtons();
       }, 150);
     });
 
     // Start autoplay if enabled
     if (this.options.autoplay) {
-      this.startAutoplay();
+      this.setupAutoplay();
+    }
+
+    this.initialized = true;
+    this.emit("carousel:init", { totalSlides: this.totalSlides });
+  }
+
+  /**
+   * Add an event listener and keep track of it for destroy()
+   * @param {EventTarget} target - Element or window
+   * @param {string} type - Event type
+   * @param {Function} handler - Event handler
+   * @param {Object} options - addEventListener options
+   */
+  addListener(target, type, handler, options) {
+    target.addEventListener(type, handler, options);
+    this.listeners.push({ target, type, handler, options });
+  }
+
+  /**
+   * Dispatch a custom event from the carousel element
+   * @param {string} name - Event name (carousel:init|change|destroy)
+   * @param {Object} detail - Extra event detail
+   */
+  emit(name, detail = {}) {
+    this.carousel.dispatchEvent(
+      new window.CustomEvent(name, {
+        bubbles: true,
+        detail: { carousel: this, ...detail },
+      })
+    );
+  }
+
+  /**
+   * Re-read slides after the track content changed
+   * Recomputes totalSlides and the max index, keeps the current index in
+   * range and updates button state.
+   */
+  refresh() {
+    const previousIndex = this.getRealIndex();
+
+    this.removeClones();
+    this.slides = Array.from(this.track.querySelectorAll(SLIDE_SELECTOR));
+    this.totalSlides = this.slides.length;
+
+    // A carousel created without slides was never initialized
+    if (!this.initialized) {
+      if (this.totalSlides > 0) {
+        this.init();
+      }
+      return;
+    }
+
+    this.updateSlidesToShow();
+    this.updateClones();
+    this.currentIndex = Math.min(previousIndex, this.getMaxIndex());
+    this.updateCarousel(false);
+    this.updateButtons();
+    this.renderIndicators();
+
+    if (this.currentIndex !== previousIndex) {
+      this.emit("carousel:change", {
+        index: this.currentIndex,
+        previousIndex,
+        totalSlides: this.totalSlides,
+      });
+    }
+  }
+
+  /**
+   * Add a slide
+   * Elements without the carousel__slide class are wrapped in a slide.
+   * @param {HTMLElement} element - Slide or slide content
+   * @param {number} index - Position to insert at (defaults to the end)
+   * @returns {HTMLElement} The inserted slide
+   */
+  addSlide(element, index = this.totalSlides) {
+    let slide = element;
+
+    if (!slide.classList.contains("carousel__slide")) {
+      slide = document.createElement("div");
+      slide.className = "carousel__slide";
+      slide.appendChild(element);
+    }
+
+    // Clones are rebuilt by refresh()
+    this.removeClones();
+
+    const reference = this.slides[index] || null;
+    this.track.insertBefore(slide, reference);
+    this.refresh();
+
+    return slide;
+  }
+
+  /**
+   * Remove a slide
+   * @param {HTMLElement|number} slideOrIndex - Slide element or its index
+   * @returns {HTMLElement|null} The removed slide, or null if not found
+   */
+  removeSlide(slideOrIndex) {
+    const slide =
+      typeof slideOrIndex === "number"
+        ? this.slides[slideOrIndex]
+        : this.slides.find((item) => item === slideOrIndex);
+
+    if (!slide) {
+      return null;
     }
+
+    slide.remove();
+    this.refresh();
+
+    return slide;
   }
 
   /**
-   * Update slides to show based on viewport width
+   * Update slides to show based on viewport width (see getLayout)
    */
   updateSlidesToShow() {
-    const width = window.innerWidth;
-    const carouselType = this.carousel.classList.contains("carousel--featured")
-      ? "featured"
-      : "more-pioneers";
-
-    if (width >= this.breakpoints.desktop) {
-      // Desktop
-      this.options.slidesToShow = carouselType === "featured" ? 4 : 3;
-    } else if (width >= this.breakpoints.tablet) {
-      // Tablet
-      this.options.slidesToShow = carouselType === "featured" ? 4 : 2;
-    } else if (width >= this.breakpoints.mobile) {
-      // Tablet (small)
-      this.options.slidesToShow = 2;
-    } else {
-      // Mobile
-      this.options.slidesToShow = 1;
+    const layout = getLayout(
+      this.baseLayout,
+      this.options.responsive,
+      window.innerWidth
+    );
+
+    this.options.slidesToShow = layout.slidesToShow;
+    this.options.slidesToScroll = layout.slidesToScroll;
+
+    // Slide width in CSS follows slides per view
+    this.carousel.style.setProperty(
+      "--carousel-slides-to-show",
+      layout.slidesToShow
+    );
+  }
+
+  /**
+   * Check whether the carousel loops seamlessly
+   * Needs the infinite option and more slides than fit in the viewport.
+   * @returns {boolean} True if looping with clones
+   */
+  isLooping() {
+    return (
+      this.options.infinite && this.totalSlides > this.options.slidesToShow
+    );
+  }
+
+  /**
+   * Get the real slide index for a (possibly cloned) position
+   * @param {number} index - Position (defaults to the current index)
+   * @returns {number} Index between 0 and totalSlides - 1
+   */
+  getRealIndex(index = this.currentIndex) {
+    if (!this.isLooping()) {
+      return index;
     }
 
-    this.options.slidesToScroll = 1;
+    return ((index % this.totalSlides) + this.totalSlides) % this.totalSlides;
+  }
+
+  /**
+   * Rebuild the cloned edge slides for the current layout
+   * Enough slides are cloned on each side to move one step past either
+   * end without showing an empty track.
+   */
+  updateClones() {
+    this.removeClones();
+
+    if (!this.isLooping()) {
+      return;
+    }
+
+    const total = this.totalSlides;
+    const count = this.options.slidesToShow + this.options.slidesToScroll;
+    const before = [];
+    const after = [];
+
+    for (let i = 0; i < count; i++) {
+      before.push(
+        createClone(this.slides[(((i - count) % total) + total) % total])
+      );
+      after.push(createClone(this.slides[i % total]));
+    }
+
+    this.track.prepend(...before);
+    this.track.append(...after);
+    this.cloneCount = count;
+  }
+
+  /**
+   * Remove the cloned edge slides
+   */
+  removeClones() {
+    this.track
+      .querySelectorAll(".carousel__slide--clone")
+      .forEach((clone) => clone.remove());
+    this.cloneCount = 0;
+  }
+
+  /**
+   * Jump from a cloned position back to the matching real slide
+   * Runs without a transition, so the move is invisible.
+   */
+  syncLoopPosition() {
+    const realIndex = this.getRealIndex();
+
+    if (realIndex === this.currentIndex) {
+      return;
+    }
+
+    this.currentIndex = realIndex;
+    this.updateCarousel(false);
+
+    // Apply the jump now so a following move animates from here
+    this.track.getBoundingClientRect();
+    this.track.style.transition = "";
   }
 
   /**
@@ -115,14 +535,14 @@ class Carousel {
   setupEventListeners() {
     // Navigation buttons
     if (this.prevButton) {
-      this.prevButton.addEventListener("click", () => this.prev());
+      this.addListener(this.prevButton, "click", () => this.prev());
     }
     if (this.nextButton) {
-      this.nextButton.addEventListener("click", () => this.next());
+      this.addListener(this.nextButton, "click", () => this.next());
     }
 
     // Keyboard navigation
-    this.carousel.addEventListener("keydown", (e) => {
+    this.addListener(this.carousel, "keydown", (e) => {
       if (e.key === "ArrowLeft") {
         e.preventDefault();
         this.prev();
@@ -132,37 +552,42 @@ class Carousel {
       }
     });
 
-    // Touch/Mouse events for dragging
-    this.setupTouchEvents();
-
-    // Pause autoplay on hover
-    if (this.options.autoplay) {
-      this.carousel.addEventListener("mouseenter", () => this.stopAutoplay());
-      this.carousel.addEventListener("mouseleave", () => this.startAutoplay());
-    }
+    // Pointer events for dragging
+    this.setupPointerEvents();
   }
 
   /**
-   * Setup touch/mouse drag events
+   * Setup pointer drag events (touch, mouse and pen)
    */
-  setupTouchEvents() {
-    // Touch events
-    this.track.addEventListener("touchstart", (e) => this.dragStart(e), {
-      passive: true,
-    });
-    this.track.addEventListener("touchmove", (e) => this.dragMove(e), {
-      passive: false,
-    });
-    this.track.addEventListener("touchend", () => this.dragEnd());
+  setupPointerEvents() {
+    this.addListener(this.track, "pointerdown", (e) => this.dragStart(e));
+    this.addListener(this.track, "pointermove", (e) => this.dragMove(e));
+
+    // Listen on the window: the pointer is only captured once the drag
+    // turns horizontal, and a release outside the track must still end it
+    this.addListener(window, "pointerup", (e) => this.dragEnd(e));
+    this.addListener(window, "pointercancel", (e) => this.dragEnd(e, true));
 
-    // Mouse events
-    this.track.addEventListener("mousedown", (e) => this.dragStart(e));
-    this.track.addEventListener("mousemove", (e) => this.dragMove(e));
-    this.track.addEventListener("mouseup", () => this.dragEnd());
-    this.track.addEventListener("mouseleave", () => this.dragEnd());
+    // Native image dragging would cancel the pointer stream
+    this.addListener(this.track, "dragstart", (e) => e.preventDefault());
+
+    // Swallow the click that ends a drag so cards under the pointer
+    // don't activate
+    this.addListener(
+      this.track,
+      "click",
+      (e) => {
+        if (this.suppressClick) {
+          e.preventDefault();
+          e.stopPropagation();
+          this.suppressClick = false;
+        }
+      },
+      true
+    );
 
     // Prevent context menu on long press
-    this.track.addEventListener("contextmenu", (e) => {
+    this.addListener(this.track, "contextmenu", (e) => {
       if (this.isDragging) {
         e.preventDefault();
       }
@@ -171,28 +596,67 @@ class Carousel {
 
   /**
    * Drag start handler
+   * The drag only takes over once the pointer moves horizontally (see
+   * dragMove), so taps and vertical scrolling behave normally.
+   * @param {PointerEvent} e - Pointer event
    */
   dragStart(e) {
+    if (this.isDragging || (e.pointerType === "mouse" && e.button !== 0)) {
+      return;
+    }
+
+    this.syncLoopPosition();
     this.isDragging = true;
-    this.startPos = this.getPositionX(e);
-    this.track.classList.add("carousel__track--dragging");
-    this.carousel.style.cursor = "grabbing";
+    this.dragIntent = null;
+    this.pointerId = e.pointerId;
+    this.startPos = e.clientX;
+    this.startPosY = e.clientY;
+    this.dragSamples = [{ x: e.clientX, time: e.timeStamp }];
+    this.suppressClick = false;
 
-    // Stop autoplay during drag
-    this.stopAutoplay();
+    // Pause autoplay during drag
+    this.pauseAutoplay("drag");
   }
 
   /**
    * Drag move handler
+   * @param {PointerEvent} e - Pointer event
    */
   dragMove(e) {
-    if (!this.isDragging) {
+    if (!this.isDragging || e.pointerId !== this.pointerId) {
       return;
     }
 
-    const currentPosition = this.getPositionX(e);
-    const diff = currentPosition - this.startPos;
-    this.currentTranslate = this.prevTranslate + diff;
+    const diff = e.clientX - this.startPos;
+    const diffY = e.clientY - this.startPosY;
+
+    // Decide between swiping the carousel and scrolling the page
+    if (!this.dragIntent) {
+      if (Math.max(Math.abs(diff), Math.abs(diffY)) < DRAG_INTENT_DISTANCE) {
+        return;
+      }
+
+      if (Math.abs(diffY) > Math.abs(diff)) {
+        this.isDragging = false;
+        this.resumeAutoplay("drag");
+        return;
+      }
+
+      this.dragIntent = "horizontal";
+      this.track.setPointerCapture?.(e.pointerId);
+      this.track.classList.add("carousel__track--dragging");
+      this.carousel.style.cursor = "grabbing";
+    }
+
+    e.preventDefault();
+
+    // Keep recent samples for the release velocity
+    this.dragSamples.push({ x: e.clientX, time: e.timeStamp });
+    this.dragSamples = this.dragSamples.filter(
+      (sample) => e.timeStamp - sample.time <= VELOCITY_WINDOW
+    );
+
+    this.currentTranslate = this.applyEdgeResistance(this.prevTranslate + diff);
 
     // Apply transform
     this.track.style.transform = `translateX(${this.currentTranslate}px)`;
@@ -200,51 +664,116 @@ class Carousel {
 
   /**
    * Drag end handler
+   * @param {PointerEvent} e - Pointer event
+   * @param {boolean} cancelled - True when the browser took over the pointer
    */
-  dragEnd() {
-    if (!this.isDragging) {
+  dragEnd(e, cancelled = false) {
+    if (!this.isDragging || e.pointerId !== this.pointerId) {
       return;
     }
 
+    const wasSwiping = this.dragIntent === "horizontal";
+
     this.isDragging = false;
+    this.dragIntent = null;
+    this.pointerId = null;
+
+    if (!wasSwiping) {
+      this.resumeAutoplay("drag");
+      return;
+    }
+
     this.track.classList.remove("carousel__track--dragging");
     this.carousel.style.cursor = "grab";
+    this.suppressClick = !cancelled;
 
     const movedBy = this.currentTranslate - this.prevTranslate;
+    const velocity = this.getDragVelocity(e.timeStamp);
+    const slides = cancelled ? 0 : this.getSwipeDistance(movedBy, velocity);
 
-    // Determine if we should move to next/prev slide
-    const threshold = 50; // pixels
-    if (movedBy < -threshold && this.currentIndex < this.getMaxIndex()) {
-      this.next();
-    } else if (movedBy > threshold && this.currentIndex > 0) {
-      this.prev();
-    } else {
-      // Snap back to current position
-      this.goToSlide(this.currentIndex);
+    // Move by the swiped amount, or snap back to the current position
+    this.goToSlide(this.currentIndex + slides);
+
+    this.resumeAutoplay("drag");
+  }
+
+  /**
+   * Slow the track down when it is dragged past either end
+   * @param {number} translate - Requested track offset in px
+   * @returns {number} Offset with rubber-band resistance applied
+   */
+  applyEdgeResistance(translate) {
+    if (this.isLooping()) {
+      return translate;
     }
 
-    // Resume autoplay if enabled
-    if (this.options.autoplay) {
-      this.startAutoplay();
+    const maxTranslate = 0;
+    const minTranslate = -this.getMaxIndex() * this.slideStep;
+
+    if (translate > maxTranslate) {
+      return maxTranslate + (translate - maxTranslate) * EDGE_RESISTANCE;
+    }
+    if (translate < minTranslate) {
+      return minTranslate + (translate - minTranslate) * EDGE_RESISTANCE;
     }
+
+    return translate;
   }
 
   /**
-   * Get position X from touch or mouse event
+   * Get the pointer velocity at release
+   * @param {number} releaseTime - Event timestamp of the release
+   * @returns {number} Velocity in px/ms (0 if the pointer had stopped)
    */
-  getPositionX(e) {
-    return e.type.includes("mouse") ? e.pageX : e.touches[0].clientX;
+  getDragVelocity(releaseTime) {
+    const first = this.dragSamples[0];
+    const last = this.dragSamples[this.dragSamples.length - 1];
+
+    if (!first || first === last || releaseTime - last.time > VELOCITY_WINDOW) {
+      return 0;
+    }
+
+    return (last.x - first.x) / (last.time - first.time);
+  }
+
+  /**
+   * Work out how many slides a swipe should move
+   * Slow drags move one step once past the distance threshold; flicks
+   * coast on and can skip several slides.
+   * @param {number} movedBy - Drag distance in px (negative = forward)
+   * @param {number} velocity - Release velocity in px/ms
+   * @returns {number} Slides to move (negative = backward)
+   */
+  getSwipeDistance(movedBy, velocity) {
+    const step = this.options.slidesToScroll;
+    const isFlick = Math.abs(velocity) >= FLICK_VELOCITY;
+
+    if (!isFlick && Math.abs(movedBy) < SWIPE_THRESHOLD) {
+      return 0;
+    }
+
+    const projected = movedBy + (isFlick ? velocity * MOMENTUM_TIME : 0);
+    const slides =
+      this.slideStep > 0
+        ? Math.round(-projected / this.slideStep / step) * step
+        : 0;
+
+    // Always move at least one step in the swipe direction
+    if (slides === 0) {
+      return projected < 0 ? step : -step;
+    }
+
+    return slides;
   }
 
   /**
    * Go to next slide
    */
   next() {
-    const maxIndex = this.getMaxIndex();
-    if (this.currentIndex < maxIndex) {
+    this.syncLoopPosition();
+
+    if (this.isLooping() || this.currentIndex < this.getMaxIndex()) {
       this.goToSlide(this.currentIndex + this.options.slidesToScroll);
-    } else if (this.options.infinite) {
-      this.goToSlide(0);
     }
   }
 
@@ -252,10 +781,10 @@ class Carousel {
    * Go to previous slide
    */
   prev() {
-    if (this.currentIndex > 0) {
+    this.syncLoopPosition();
+
+    if (this.isLooping() || this.currentIndex > 0) {
       this.goToSlide(this.currentIndex - this.options.slidesToScroll);
-    } else if (this.options.infinite) {
-      this.goToSlide(this.getMaxIndex());
     }
   }
 
@@ -265,10 +794,20 @@ class Carousel {
    * @param {boolean} animate - Whether to animate the transition
    */
   goToSlide(index, animate = true) {
-    const maxIndex = this.getMaxIndex();
+    const previousIndex = this.getRealIndex();
 
-    // Clamp index
-    this.currentIndex = Math.max(0, Math.min(index, maxIndex));
+    // Clamp index (when looping, cloned positions past either end are
+    // allowed; syncLoopPosition() returns to the real slide afterwards)
+    if (this.isLooping()) {
+      const maxPosition =
+        this.totalSlides - this.options.slidesToShow + this.cloneCount;
+      this.currentIndex = Math.max(
+        -this.cloneCount,
+        Math.min(index, maxPosition)
+      );
+    } else {
+      this.currentIndex = Math.max(0, Math.min(index, this.getMaxIndex()));
+    }
 
     // Add animating class for enhanced animation
     if (animate) {
@@ -278,36 +817,57 @@ class Carousel {
     // Update carousel
     this.updateCarousel(animate);
     this.updateButtons();
+    this.updateIndicators();
 
     // Remove animating class after animation completes
     if (animate) {
-      setTimeout(() => {
+      clearTimeout(this.animationTimeout);
+      this.animationTimeout = setTimeout(() => {
         this.track.classList.remove("carousel__track--animating");
+        this.syncLoopPosition();
       }, 500);
+    } else {
+      this.syncLoopPosition();
     }
 
     // Announce to screen readers
     this.announceSlide();
+
+    // Give the new slide a full autoplay interval
+    if (this.options.autoplay) {
+      this.restartAutoplay();
+    }
+
+    const currentIndex = this.getRealIndex();
+    if (currentIndex !== previousIndex) {
+      this.emit("carousel:change", {
+        index: currentIndex,
+        previousIndex,
+        totalSlides: this.totalSlides,
+      });
+    }
   }
 
   /**
    * Update carousel position
    */
   updateCarousel(animate = true) {
-    // Get gap value (8px)
-    const gap = 8;
-
     // Batch all DOM reads first to prevent layout thrashing
     const trackStyle = window.getComputedStyle(this.track);
+    const gap = this.options.gap ?? (parseFloat(trackStyle.columnGap) || 0);
     const trackPaddingLeft = parseFloat(trackStyle.paddingLeft) || 0;
     const trackPaddingRight = parseFloat(trackStyle.paddingRight) || 0;
     const totalPadding = trackPaddingLeft + trackPaddingRight;
     const viewportWidth = this.viewport.offsetWidth;
 
     // Then perform all calculations
+    const { slidesToShow } = this.options;
     const availableWidth = viewportWidth - totalPadding;
-    const slideWidth = availableWidth / this.options.slidesToShow;
-    const offset = -this.currentIndex * (slideWidth + gap);
+    const slideWidth =
+      (availableWidth - (slidesToShow - 1) * gap) / slidesToShow;
+    const position = this.currentIndex + this.cloneCount;
+    this.slideStep = slideWidth + gap;
+    const offset = -position * this.slideStep;
 
     // Finally, batch all DOM writes together
     if (!animate) {
@@ -324,6 +884,26 @@ class Carousel {
         this.track.style.transition = "";
       });
     }
+
+    this.loadVisibleImages();
+  }
+
+  /**
+   * Load deferred images for the slides around the visible window
+   * Covers the previous step, the visible slides and the next page, so
+   * images are ready before they are dragged or moved into view.
+   */
+  loadVisibleImages() {
+    // Positions in the track, clones included
+    const slides = this.track.querySelectorAll(".carousel__slide");
+    const { slidesToShow, slidesToScroll } = this.options;
+    const position = this.currentIndex + this.cloneCount;
+    const first = Math.max(0, position - slidesToScroll);
+    const last = Math.min(slides.length - 1, position + slidesToShow * 2 - 1);
+
+    for (let i = first; i <= last; i++) {
+      loadDeferredImages(slides[i]);
+    }
   }
 
   /**
@@ -333,7 +913,7 @@ class Carousel {
     const maxIndex = this.getMaxIndex();
 
     if (this.prevButton) {
-      if (this.currentIndex === 0 && !this.options.infinite) {
+      if (this.currentIndex === 0 && !this.isLooping()) {
         this.prevButton.disabled = true;
         this.prevButton.setAttribute("aria-disabled", "true");
       } else {
@@ -343,7 +923,7 @@ class Carousel {
     }
 
     if (this.nextButton) {
-      if (this.currentIndex >= maxIndex && !this.options.infinite) {
+      if (this.currentIndex >= maxIndex && !this.isLooping()) {
         this.nextButton.disabled = true;
         this.nextButton.setAttribute("aria-disabled", "true");
       } else {
@@ -357,53 +937,454 @@ class Carousel {
    * Get maximum slide index
    */
   getMaxIndex() {
+    // Every slide can come first when looping
+    if (this.isLooping()) {
+      return this.totalSlides - 1;
+    }
+
     return Math.max(0, this.totalSlides - this.options.slidesToShow);
   }
 
   /**
-   * Start autoplay
+   * Get the number of reachable positions (pages)
+   * @returns {number} Page count (at least 1)
    */
-  startAutoplay() {
-    if (!this.options.autoplay) {
+  getPageCount() {
+    return Math.ceil(this.getMaxIndex() / this.options.slidesToScroll) + 1;
+  }
+
+  /**
+   * Get the slide index a page starts at
+   * @param {number} page - Page index
+   * @returns {number} Slide index
+   */
+  getPageStart(page) {
+    return Math.min(page * this.options.slidesToScroll, this.getMaxIndex());
+  }
+
+  /**
+   * Get the page the current slide belongs to
+   * @returns {number} Page index
+   */
+  getCurrentPage() {
+    return Math.ceil(this.getRealIndex() / this.options.slidesToScroll);
+  }
+
+  /**
+   * Create the indicator bar and its listeners (once)
+   * Dots follow the WAI-ARIA tabbed carousel pattern: a tablist with one
+   * tab per page, and slides as tab panels. The counter is visual only;
+   * the live region already announces the position.
+   */
+  createIndicators() {
+    const type = this.options.indicators;
+
+    this.indicators = document.createElement("div");
+    this.indicators.className = `carousel__indicators carousel__indicators--${type}`;
+
+    // Place between the prev/next buttons when possible
+    const controls = this.carousel.querySelector(".carousel__controls");
+    if (controls && this.nextButton && controls.contains(this.nextButton)) {
+      this.nextButton.before(this.indicators);
+    } else {
+      (controls || this.carousel).appendChild(this.indicators);
+    }
+
+    if (type !== "dots") {
+      this.indicators.setAttribute("aria-hidden", "true");
       return;
     }
 
-    this.stopAutoplay(); // Clear existing interval
-    this.autoplayInterval = setInterval(() => {
-      if (this.currentIndex >= this.getMaxIndex()) {
-        if (this.options.infinite) {
-          this.goToSlide(0);
-        } else {
-          this.stopAutoplay();
+    this.indicators.setAttribute("role", "tablist");
+    this.indicators.setAttribute("aria-label", t("carousel.indicators"));
+
+    this.addListener(this.indicators, "click", (e) => {
+      const tab = e.target.closest(".carousel__indicator");
+      if (tab) {
+        this.goToSlide(this.getPageStart(Number(tab.dataset.page)));
+      }
+    });
+
+    // Roving focus between tabs (kept from the carousel arrow handler)
+    this.addListener(this.indicators, "keydown", (e) => {
+      const pageCount = this.getPageCount();
+      const page = this.getCurrentPage();
+      const targets = {
+        ArrowLeft: (page - 1 + pageCount) % pageCount,
+        ArrowRight: (page + 1) % pageCount,
+        Home: 0,
+        End: pageCount - 1,
+      };
+
+      if (!(e.key in targets)) {
+        return;
+      }
+
+      e.preventDefault();
+      e.stopPropagation();
+      this.goToSlide(this.getPageStart(targets[e.key]));
+      this.indicators.querySelector(".carousel__indicator--active")?.focus();
+    });
+  }
+
+  /**
+   * Build the indicators for the current layout
+   * Called on init, refresh and resize, since the page count depends on
+   * totalSlides and slidesToShow.
+   */
+  renderIndicators() {
+    if (!this.options.indicators) {
+      return;
+    }
+
+    if (!this.indicators) {
+      this.createIndicators();
+    }
+
+    const pageCount = this.getPageCount();
+    this.indicators.hidden = pageCount <= 1;
+
+    if (this.options.indicators === "dots") {
+      const slidePrefix = `${this.id}-slide-`;
+
+      this.slides.forEach((slide, index) => {
+        if (!slide.id || slide.id.startsWith(slidePrefix)) {
+          slide.id = `${slidePrefix}${index + 1}`;
         }
+        slide.setAttribute("role", "tabpanel");
+        slide.setAttribute("aria-roledescription", "slide");
+        slide.setAttribute(
+          "aria-label",
+          t("carousel.slideLabel", {
+            index: index + 1,
+            total: this.totalSlides,
+          })
+        );
+      });
+
+      const tabs = [];
+      for (let page = 0; page < pageCount && pageCount > 1; page++) {
+        const first = this.getPageStart(page);
+        const last = Math.min(
+          first + this.options.slidesToShow,
+          this.totalSlides
+        );
+        const tab = document.createElement("button");
+
+        tab.type = "button";
+        tab.className = "carousel__indicator";
+        tab.dataset.page = page;
+        tab.setAttribute("role", "tab");
+        tab.setAttribute("aria-controls", this.slides[first].id);
+        const label = last - first > 1 ? "carousel.slides" : "carousel.slide";
+        tab.setAttribute(
+          "aria-label",
+          t(label, {
+            first: first + 1,
+            index: first + 1,
+            last,
+            total: this.totalSlides,
+          })
+        );
+        tabs.push(tab);
+      }
+
+      this.indicators.replaceChildren(...tabs);
+    }
+
+    this.updateIndicators();
+  }
+
+  /**
+   * Sync the indicators with the current slide
+   */
+  updateIndicators() {
+    if (!this.indicators) {
+      return;
+    }
+
+    const page = this.getCurrentPage();
+
+    if (this.options.indicators === "counter") {
+      this.indicators.textContent = t("carousel.counter", {
+        page: page + 1,
+        total: this.getPageCount(),
+      });
+      return;
+    }
+
+    this.indicators
+      .querySelectorAll(".carousel__indicator")
+      .forEach((tab, index) => {
+        const isActive = index === page;
+        tab.classList.toggle("carousel__indicator--active", isActive);
+        tab.setAttribute("aria-selected", String(isActive));
+        tab.tabIndex = isActive ? 0 : -1;
+      });
+  }
+
+  /**
+   * Set up autoplay controls and the conditions that pause it
+   */
+  setupAutoplay() {
+    this.createAutoplayControls();
+
+    // Pause while hovered or while focus is inside
+    this.addListener(this.carousel, "mouseenter", () =>
+      this.pauseAutoplay("hover")
+    );
+    this.addListener(this.carousel, "mouseleave", () =>
+      this.resumeAutoplay("hover")
+    );
+    this.addListener(this.carousel, "focusin", () =>
+      this.pauseAutoplay("focus")
+    );
+    this.addListener(this.carousel, "focusout", (e) => {
+      if (!this.carousel.contains(e.relatedTarget)) {
+        this.resumeAutoplay("focus");
+      }
+    });
+
+    // Pause while the page is in a background tab
+    this.addListener(document, "visibilitychange", () => {
+      if (document.hidden) {
+        this.pauseAutoplay("hidden");
       } else {
-        this.next();
+        this.resumeAutoplay("hidden");
       }
-    }, this.options.autoplaySpeed);
+    });
+
+    // Respect reduced motion (the play button can still start it)
+    const motionQuery = window.matchMedia?.("(prefers-reduced-motion: reduce)");
+    if (motionQuery) {
+      if (motionQuery.matches) {
+        this.autoplayPauseReasons.add("reduced-motion");
+      }
+
+      this.addListener(motionQuery, "change", (e) => {
+        if (e.matches) {
+          this.pauseAutoplay("reduced-motion");
+        } else {
+          this.resumeAutoplay("reduced-motion");
+        }
+      });
+    }
+
+    this.restartAutoplay();
+  }
+
+  /**
+   * Create the pause/play toggle and the optional progress bar
+   */
+  createAutoplayControls() {
+    const icon = document.createElement("img");
+    icon.className = "carousel__button-icon";
+    icon.alt = "";
+    icon.width = 16;
+    icon.height = 16;
+    icon.setAttribute("aria-hidden", "true");
+
+    this.autoplayToggle = document.createElement("button");
+    this.autoplayToggle.type = "button";
+    this.autoplayToggle.className =
+      "carousel__button carousel__button--autoplay";
+    this.autoplayToggle.appendChild(icon);
+    this.addListener(this.autoplayToggle, "click", () => this.toggleAutoplay());
+
+    // First control, before the prev button
+    const controls = this.carousel.querySelector(".carousel__controls");
+    if (controls) {
+      controls.prepend(this.autoplayToggle);
+    } else {
+      this.carousel.appendChild(this.autoplayToggle);
+    }
+
+    if (this.options.autoplayProgress) {
+      const progress = document.createElement("div");
+      progress.className = "carousel__progress";
+      progress.setAttribute("aria-hidden", "true");
+
+      this.autoplayProgress = document.createElement("div");
+      this.autoplayProgress.className = "carousel__progress-bar";
+      progress.appendChild(this.autoplayProgress);
+
+      this.carousel.style.setProperty(
+        "--carousel-autoplay-speed",
+        `${this.options.autoplaySpeed}ms`
+      );
+      (this.viewport || this.track).after(progress);
+    }
+  }
+
+  /**
+   * Check whether autoplay was stopped (by the user or reduced motion),
+   * as opposed to paused for a moment
+   * @returns {boolean} True if stopped
+   */
+  isAutoplayStopped() {
+    return (
+      this.autoplayPauseReasons.has("user") ||
+      this.autoplayPauseReasons.has("reduced-motion")
+    );
   }
 
   /**
-   * Stop autoplay
+   * Start autoplay (the play button)
+   * Playing on request also overrides reduced motion and the hover/focus
+   * pauses caused by using the toggle itself.
+   */
+  startAutoplay() {
+    if (!this.options.autoplay) {
+      return;
+    }
+
+    ["user", "reduced-motion", "hover", "focus"].forEach((reason) =>
+      this.autoplayPauseReasons.delete(reason)
+    );
+
+    // Start over when the carousel already reached its end
+    if (!this.isLooping() && this.currentIndex >= this.getMaxIndex()) {
+      this.goToSlide(0);
+    }
+
+    this.updateAutoplay();
+  }
+
+  /**
+   * Stop autoplay (the pause button)
    */
   stopAutoplay() {
-    if (this.autoplayInterval) {
-      clearInterval(this.autoplayInterval);
-      this.autoplayInterval = null;
+    this.pauseAutoplay("user");
+  }
+
+  /**
+   * Toggle between playing and stopped
+   */
+  toggleAutoplay() {
+    if (this.isAutoplayStopped()) {
+      this.startAutoplay();
+    } else {
+      this.stopAutoplay();
     }
   }
 
+  /**
+   * Pause autoplay for a reason (see autoplayPauseReasons)
+   * @param {string} reason - Pause reason
+   */
+  pauseAutoplay(reason) {
+    if (!this.options.autoplay) {
+      return;
+    }
+
+    this.autoplayPauseReasons.add(reason);
+    this.updateAutoplay();
+  }
+
+  /**
+   * Clear a pause reason; autoplay resumes once none are left
+   * @param {string} reason - Pause reason
+   */
+  resumeAutoplay(reason) {
+    if (!this.options.autoplay) {
+      return;
+    }
+
+    this.autoplayPauseReasons.delete(reason);
+    this.updateAutoplay();
+  }
+
+  /**
+   * Start a full autoplay interval for the current slide
+   */
+  restartAutoplay() {
+    clearTimeout(this.autoplayTimeout);
+    this.autoplayTimeout = null;
+    this.autoplayRemaining = this.options.autoplaySpeed;
+
+    // Restart the progress animation
+    if (this.autoplayProgress) {
+      this.autoplayProgress.classList.remove("carousel__progress-bar--running");
+      this.autoplayProgress.getBoundingClientRect();
+      this.autoplayProgress.classList.add("carousel__progress-bar--running");
+    }
+
+    this.updateAutoplay();
+  }
+
+  /**
+   * Run or pause the autoplay timer to match the pause reasons
+   * A paused timer keeps its remaining time, like the progress bar.
+   */
+  updateAutoplay() {
+    const shouldPlay = this.autoplayPauseReasons.size === 0;
+
+    if (shouldPlay && !this.autoplayTimeout) {
+      const delay = this.autoplayRemaining || this.options.autoplaySpeed;
+
+      this.autoplayStartedAt = Date.now();
+      this.autoplayRemaining = delay;
+      this.autoplayTimeout = setTimeout(() => {
+        this.autoplayTimeout = null;
+        this.autoplayRemaining = 0;
+
+        if (this.isLooping() || this.currentIndex < this.getMaxIndex()) {
+          this.next();
+        } else {
+          this.stopAutoplay();
+        }
+      }, delay);
+    } else if (!shouldPlay && this.autoplayTimeout) {
+      clearTimeout(this.autoplayTimeout);
+      this.autoplayTimeout = null;
+      this.autoplayRemaining = Math.max(
+        0,
+        this.autoplayRemaining - (Date.now() - this.autoplayStartedAt)
+      );
+    }
+
+    this.carousel.classList.toggle("carousel--autoplay-paused", !shouldPlay);
+
+    // The toggle shows the user's choice, not temporary pauses
+    if (this.autoplayToggle) {
+      const isStopped = this.isAutoplayStopped();
+      this.autoplayToggle.setAttribute(
+        "aria-label",
+        t(isStopped ? "carousel.startAutoplay" : "carousel.stopAutoplay")
+      );
+      this.autoplayToggle.querySelector("img").src = isStopped
+        ? "/assets/icons/play.svg"
+        : "/assets/icons/pause.svg";
+    }
+
+    // Don't announce slides changing on their own
+    this.carousel
+      .querySelector(".carousel__live-region")
+      ?.setAttribute("aria-live", this.autoplayTimeout ? "off" : "polite");
+  }
+
   /**
    * Announce current slide to screen readers
    */
   announceSlide() {
-    const announcement = `Slide ${this.currentIndex + 1} of ${this.totalSlides}`;
+    if (this.totalSlides === 0) {
+      return;
+    }
+
+    const announcement = t("carousel.slide", {
+      index: this.getRealIndex() + 1,
+      total: this.totalSlides,
+    });
 
     // Create or update live region
     let liveRegion = this.carousel.querySelector(".carousel__live-region");
     if (!liveRegion) {
       liveRegion = document.createElement("div");
       liveRegion.className = "carousel__live-region carousel__sr-only";
-      liveRegion.setAttribute("aria-live", "polite");
+      liveRegion.setAttribute(
+        "aria-live",
+        this.autoplayTimeout ? "off" : "polite"
+      );
       liveRegion.setAttribute("aria-atomic", "true");
       this.carousel.appendChild(liveRegion);
     }
@@ -413,12 +1394,61 @@ class Carousel {
 
   /**
    * Destroy carousel (cleanup)
+   * Removes every listener the carousel added and resets its styles.
    */
   destroy() {
-    this.stopAutoplay();
-    // Remove event listeners and reset styles
+    clearTimeout(this.autoplayTimeout);
+    this.autoplayTimeout = null;
+    clearTimeout(this.resizeTimeout);
+    clearTimeout(this.animationTimeout);
+
+    // Remove event listeners
+    this.listeners.forEach(({ target, type, handler, options }) => {
+      target.removeEventListener(type, handler, options);
+    });
+    this.listeners = [];
+
+    // Reset styles and state (nothing is left waiting to load)
+    this.removeClones();
+    loadDeferredImages(this.track);
+    this.currentIndex = this.getRealIndex();
     this.track.style.transform = "";
+    this.track.style.transition = "";
+    this.track.classList.remove(
+      "carousel__track--dragging",
+      "carousel__track--animating"
+    );
     this.carousel.style.cursor = "";
+    this.carousel.style.removeProperty("--carousel-slides-to-show");
+    this.carousel.style.removeProperty("--carousel-slide-gap");
+    this.carousel.style.removeProperty("--carousel-autoplay-speed");
+    this.carousel.classList.remove("carousel--autoplay-paused");
+    this.autoplayToggle?.remove();
+    this.autoplayToggle = null;
+    this.autoplayProgress?.parentElement.remove();
+    this.autoplayProgress = null;
+    this.autoplayPauseReasons.clear();
+    this.carousel.querySelector(".carousel__live-region")?.remove();
+    this.indicators?.remove();
+    this.indicators = null;
+
+    if (this.options.indicators === "dots") {
+      this.slides.forEach((slide) => {
+        if (slide.id.startsWith(`${this.id}-slide-`)) {
+          slide.removeAttribute("id");
+        }
+        slide.removeAttribute("role");
+        slide.removeAttribute("aria-roledescription");
+        slide.removeAttribute("aria-label");
+      });
+    }
+    this.isDragging = false;
+    this.dragIntent = null;
+    this.pointerId = null;
+    this.suppressClick = false;
+    this.initialized = false;
+
+    this.emit("carousel:destroy");
   }
 }
 
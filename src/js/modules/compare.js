@@ -0,0 +1,577 @@
+/**
+ * Compare Module
+ *
+ * Side-by-side comparison of two or three pioneers:
+ * - Compare toggles on pioneer cards ([data-compare-id], pressed state in
+ *   aria-pressed) pick the pioneers
+ * - A tray at the bottom of the page lists the picks and opens the
+ *   comparison (at least MIN_COMPARE, at most MAX_COMPARE)
+ * - Comparison dialog (built on Dialog): role, years, achievements and
+ *   awards in a table, plus the years the pioneers were alive together
+ * - compare:open / compare:change / compare:close events, so the Router
+ *   can keep the picks in the URL (#/compare/vint-cerf,radia-perlman)
+ */
+
+import Dialog from "./dialog.js";
+import { createElement } from "../utils/dom.js";
+import {
+  MAX_COMPARE,
+  MIN_COMPARE,
+  getLifespan,
+  getOverlap,
+  getSelection,
+  setSelection,
+} from "../utils/comparison.js";
+import { formatYears } from "../utils/pioneer-data.js";
+import { formatList, formatYear, t } from "../utils/i18n.js";
+
+// Table rows: header message and cell content per pioneer
+const ROWS = [
+  { label: "compare.role", render: (pioneer) => [pioneer.role] },
+  { label: "compare.years", render: (pioneer) => [formatYears(pioneer)] },
+  {
+    label: "compare.achievements",
+    render: (pioneer) => renderList(pioneer.achievements),
+  },
+  {
+    label: "compare.awards",
+    render: (pioneer) =>
+      renderList(
+        (pioneer.awards || []).map((award) =>
+          t("compare.award", { name: award.name, year: formatYear(award.year) })
+        )
+      ),
+  },
+];
+
+/**
+ * Render a list cell
+ * @param {string[]} items - Item texts
+ * @returns {Array<Node|string>} List, or a placeholder when empty
+ */
+function renderList(items = []) {
+  if (items.length === 0) {
+    return [
+      createElement("span", { className: "compare__empty" }, [
+        t("compare.none"),
+      ]),
+    ];
+  }
+
+  return [
+    createElement(
+      "ul",
+      { className: "compare__list" },
+      items.map((item) => createElement("li", {}, [item]))
+    ),
+  ];
+}
+
+/**
+ * Format the shared years of an overlap
+ * @param {Object} overlap - Result of getOverlap() with shared years
+ * @returns {string} e.g. '1951 - Present'
+ */
+function formatRange(overlap) {
+  return t("pioneer.years", {
+    born: formatYear(overlap.start),
+    died: overlap.living ? t("pioneer.present") : formatYear(overlap.end),
+  });
+}
+
+class Compare {
+  /**
+   * Initialize the Compare component
+   * @param {Object} options - Configuration options
+   * @param {Object} options.pioneers - Pioneer records keyed by id (the
+   *   modal's pioneersData)
+   */
+  constructor({ pioneers = {} } = {}) {
+    this.backdrop = document.getElementById("compare-dialog");
+    this.panel = this.backdrop?.querySelector(".modal");
+    this.closeButton = document.getElementById("compare-close");
+    this.content = document.getElementById("compare-content");
+
+    this.tray = document.querySelector(".compare-tray");
+    this.trayList = this.tray?.querySelector(".compare-tray__list");
+    this.trayStatus = this.tray?.querySelector(".compare-tray__status");
+    this.openButton = this.tray?.querySelector("[data-compare-open]");
+    this.clearButton = this.tray?.querySelector("[data-compare-clear]");
+
+    this.pioneers = pioneers;
+    this.dialog = null;
+    this.isOpen = false;
+  }
+
+  /**
+   * Initialize comparison
+   */
+  init() {
+    if (!this.backdrop || !this.content) {
+      console.warn("Compare dialog not found");
+      return;
+    }
+
+    this.dialog = new Dialog(this.backdrop, {
+      panel: this.panel,
+      initialFocus: this.closeButton,
+    });
+    this.dialog.init();
+
+    // Closed by the dialog (close button, Escape, click outside) or close()
+    this.backdrop.addEventListener("dialog:close", (e) => {
+      if (e.target === this.backdrop) {
+        this.handleClose();
+      }
+    });
+
+    // Toggles on cards (rendered any time), remove buttons in the tray
+    // and the dialog
+    document.addEventListener("click", (e) => {
+      const toggle = e.target.closest("[data-compare-id]");
+      const remove = e.target.closest("[data-compare-remove]");
+
+      if (toggle) {
+        this.toggle(toggle.dataset.compareId);
+      } else if (remove) {
+        this.remove(remove.dataset.compareRemove);
+      }
+    });
+
+    this.openButton?.addEventListener("click", () => this.open());
+    this.clearButton?.addEventListener("click", () => this.update([]));
+
+    this.update(getSelection());
+  }
+
+  /**
+   * Get the records of known pioneers
+   * @param {string[]} ids - Pioneer ids
+   * @returns {Object[]} Pioneer records, in the same order
+   */
+  getPioneers(ids) {
+    return ids.map((id) => this.pioneers[id]).filter(Boolean);
+  }
+
+  /**
+   * Pick a pioneer for comparison, or drop it
+   * @param {string} pioneerId - Pioneer id
+   * @returns {boolean} Whether the pioneer is now picked
+   */
+  toggle(pioneerId) {
+    const selection = getSelection();
+
+    if (!this.pioneers[pioneerId]) {
+      console.warn(`Pioneer data not found for ID: ${pioneerId}`);
+      return false;
+    }
+
+    if (selection.includes(pioneerId)) {
+      this.remove(pioneerId);
+      return false;
+    }
+
+    if (selection.length >= MAX_COMPARE) {
+      this.updateStatus(t("compare.limit", { count: MAX_COMPARE }));
+      return false;
+    }
+
+    this.update([...selection, pioneerId]);
+    return true;
+  }
+
+  /**
+   * Drop a pioneer from the comparison
+   * Closes the dialog when fewer than MIN_COMPARE pioneers are left.
+   * @param {string} pioneerId - Pioneer id
+   */
+  remove(pioneerId) {
+    this.update(getSelection().filter((id) => id !== pioneerId));
+  }
+
+  /**
+   * Open the comparison
+   * @param {string[]} ids - Pioneer ids (defaults to the current picks)
+   * @returns {boolean} Whether the comparison is shown
+   */
+  open(ids = getSelection()) {
+    const unique = [...new Set(ids)];
+
+    if (this.getPioneers(unique).length !== unique.length) {
+      console.warn(`Unknown pioneer in comparison: ${ids.join(", ")}`);
+      return false;
+    }
+
+    if (unique.length < MIN_COMPARE || unique.length > MAX_COMPARE) {
+      console.warn(
+        `Compare ${MIN_COMPARE} to ${MAX_COMPARE} pioneers (got ${unique.length})`
+      );
+      return false;
+    }
+
+    // Already showing these pioneers
+    if (this.isOpen && unique.join() === getSelection().join()) {
+      return true;
+    }
+
+    // While open, update() re-renders and reports the change
+    this.update(unique);
+
+    if (!this.isOpen) {
+      this.isOpen = true;
+      this.render();
+      this.dialog.open();
+      this.emit("compare:open", { ids: getSelection() });
+    }
+    return true;
+  }
+
+  /**
+   * Close the comparison (the picks are kept)
+   */
+  close() {
+    this.dialog?.close();
+  }
+
+  /**
+   * Reset state once the dialog has closed
+   */
+  handleClose() {
+    if (!this.isOpen) {
+      return;
+    }
+
+    this.isOpen = false;
+    this.emit("compare:close", { ids: getSelection() });
+  }
+
+  /**
+   * Replace the picks and sync the toggles, tray and open dialog
+   * @param {string[]} ids - Pioneer ids
+   */
+  update(ids) {
+    const selection = setSelection(
+      ids.filter((id) => Boolean(this.pioneers[id]))
+    );
+
+    document.querySelectorAll("[data-compare-id]").forEach((toggle) => {
+      const isPressed = selection.includes(toggle.dataset.compareId);
+      toggle.setAttribute("aria-pressed", String(isPressed));
+    });
+
+    this.renderTray();
+
+    if (!this.isOpen) {
+      return;
+    }
+
+    if (selection.length < MIN_COMPARE) {
+      this.close();
+      return;
+    }
+
+    // The removed pioneer's button had focus; land on the close button
+    const hadFocus = this.content.contains(document.activeElement);
+    this.render();
+    if (hadFocus && !this.content.contains(document.activeElement)) {
+      this.closeButton?.focus();
+    }
+
+    this.emit("compare:change", { ids: selection });
+  }
+
+  /**
+   * Render the tray of picked pioneers
+   */
+  renderTray() {
+    if (!this.tray) {
+      return;
+    }
+
+    const pioneers = this.getPioneers(getSelection());
+
+    // A removed item may have had focus; keep it in the tray
+    const hadFocus = this.trayList.contains(document.activeElement);
+
+    this.trayList.replaceChildren(
+      ...pioneers.map((pioneer) =>
+        createElement("li", { className: "compare-tray__item" }, [
+          createElement("span", { className: "compare-tray__name" }, [
+            pioneer.name,
+          ]),
+          createElement(
+            "button",
+            {
+              className: "compare-tray__remove",
+              type: "button",
+              "aria-label": t("compare.remove", { name: pioneer.name }),
+              "data-compare-remove": pioneer.id,
+            },
+            ["✕"]
+          ),
+        ])
+      )
+    );
+
+    this.tray.hidden = pioneers.length === 0;
+
+    if (this.openButton) {
+      this.openButton.disabled = pioneers.length < MIN_COMPARE;
+      this.openButton.textContent = t("compare.open", {
+        count: pioneers.length,
+      });
+    }
+
+    if (hadFocus && pioneers.length > 0) {
+      this.openButton?.focus();
+    }
+
+    this.updateStatus();
+  }
+
+  /**
+   * Update the visible/announced tray status
+   * @param {string} message - Text to show instead of the default hint
+   */
+  updateStatus(message) {
+    if (!this.trayStatus) {
+      return;
+    }
+
+    const count = getSelection().length;
+
+    if (message) {
+      this.trayStatus.textContent = message;
+    } else if (count < MIN_COMPARE) {
+      this.trayStatus.textContent = t("compare.pickMore");
+    } else {
+      this.trayStatus.textContent = t("compare.selected", {
+        count,
+        max: MAX_COMPARE,
+      });
+    }
+  }
+
+  /**
+   * Render the comparison of the picked pioneers
+   */
+  render() {
+    const pioneers = this.getPioneers(getSelection());
+
+    this.content.replaceChildren(
+      this.renderTable(pioneers),
+      ...this.renderOverlap(pioneers)
+    );
+  }
+
+  /**
+   * Render the comparison table (one column per pioneer)
+   * @param {Object[]} pioneers - Pioneer records
+   * @returns {HTMLElement} Scrollable table wrapper
+   */
+  renderTable(pioneers) {
+    const header = createElement("tr", {}, [
+      createElement("td", { className: "compare__corner" }),
+      ...pioneers.map((pioneer) => this.renderPioneerHeader(pioneer)),
+    ]);
+
+    const rows = ROWS.map(({ label, render }) =>
+      createElement("tr", {}, [
+        createElement("th", { className: "compare__label", scope: "row" }, [
+          t(label),
+        ]),
+        ...pioneers.map((pioneer) =>
+          createElement("td", { className: "compare__cell" }, render(pioneer))
+        ),
+      ])
+    );
+
+    return createElement("div", { className: "compare__scroll" }, [
+      createElement(
+        "table",
+        {
+          className: `compare__table compare__table--${pioneers.length}`,
+        },
+        [
+          createElement("caption", { className: "compare__caption" }, [
+            formatList(pioneers.map((pioneer) => pioneer.name)),
+          ]),
+          createElement("thead", {}, [header]),
+          createElement("tbody", {}, rows),
+        ]
+      ),
+    ]);
+  }
+
+  /**
+   * Render the column header of a pioneer
+   * @param {Object} pioneer - Pioneer record
+   * @returns {HTMLElement} Header cell (avatar, name, remove button)
+   */
+  renderPioneerHeader(pioneer) {
+    const sources = [];
+
+    if (pioneer.imageWebP) {
+      sources.push(
+        createElement("source", {
+          srcset: pioneer.imageWebP,
+          type: "image/webp",
+        })
+      );
+    }
+
+    return createElement(
+      "th",
+      { className: "compare__pioneer", scope: "col" },
+      [
+        createElement("picture", { className: "compare__avatar" }, [
+          ...sources,
+          createElement("img", {
+            src: pioneer.image,
+            alt: "",
+            className: "compare__avatar-image",
+            width: 48,
+            height: 48,
+          }),
+        ]),
+        createElement("span", { className: "compare__name" }, [pioneer.name]),
+        createElement(
+          "button",
+          {
+            className: "compare__remove",
+            type: "button",
+            "aria-label": t("compare.remove", { name: pioneer.name }),
+            "data-compare-remove": pioneer.id,
+          },
+          ["✕"]
+        ),
+      ]
+    );
+  }
+
+  /**
+   * Render the lifespans and the years the pioneers were alive together
+   * @param {Object[]} pioneers - Pioneer records
+   * @returns {HTMLElement[]} Overlap section (empty without birth years)
+   */
+  renderOverlap(pioneers) {
+    const currentYear = new Date().getFullYear();
+    const lifespans = pioneers.map((pioneer) =>
+      getLifespan(pioneer, currentYear)
+    );
+
+    if (lifespans.includes(null)) {
+      return [];
+    }
+
+    // Chart scale: earliest birth to the latest end
+    const first = Math.min(...lifespans.map((lifespan) => lifespan.start));
+    const last = Math.max(...lifespans.map((lifespan) => lifespan.end));
+    const span = Math.max(last - first, 1);
+    const toPercent = (year) => ((year - first) / span) * 100;
+
+    // Position a bar or band (--start and --span in % of the axis)
+    const place = (element, { start, end }) => {
+      element.style.setProperty("--start", toPercent(start));
+      element.style.setProperty("--span", toPercent(end) - toPercent(start));
+      return element;
+    };
+
+    const bars = pioneers.map((pioneer, index) => {
+      const bar = place(
+        createElement("span", {
+          className: lifespans[index].living
+            ? "compare__bar compare__bar--living"
+            : "compare__bar",
+        }),
+        lifespans[index]
+      );
+
+      return createElement("li", { className: "compare__lifespan" }, [
+        createElement("span", { className: "compare__lifespan-name" }, [
+          pioneer.name,
+        ]),
+        createElement("span", { className: "compare__track" }, [bar]),
+      ]);
+    });
+
+    // Band over the years all of them were alive
+    const overlap = getOverlap(pioneers, currentYear);
+    const chart = createElement(
+      "div",
+      { className: "compare__chart", "aria-hidden": "true" },
+      [
+        createElement("ul", { className: "compare__lifespans" }, bars),
+        createElement("div", { className: "compare__axis" }, [
+          createElement("span", {}, [formatYear(first)]),
+          createElement("span", {}, [formatYear(last)]),
+        ]),
+      ]
+    );
+
+    if (overlap && !("gap" in overlap)) {
+      chart.prepend(
+        place(createElement("span", { className: "compare__shared" }), overlap)
+      );
+    }
+
+    // Every pioneer together, then each pair (with three pioneers)
+    const groups = [pioneers];
+    if (pioneers.length > 2) {
+      pioneers.forEach((pioneer, index) => {
+        pioneers.slice(index + 1).forEach((other) => {
+          groups.push([pioneer, other]);
+        });
+      });
+    }
+
+    const summaries = groups.map((group) =>
+      createElement("li", {}, [
+        this.describeOverlap(group, getOverlap(group, currentYear)),
+      ])
+    );
+
+    return [
+      createElement("section", { className: "compare__overlap" }, [
+        createElement("h3", { className: "compare__title" }, [
+          t("compare.overlap"),
+        ]),
+        chart,
+        createElement("ul", { className: "compare__summaries" }, summaries),
+      ]),
+    ];
+  }
+
+  /**
+   * Describe the years a group of pioneers were alive together
+   * @param {Object[]} pioneers - Pioneer records
+   * @param {Object} overlap - Result of getOverlap()
+   * @returns {string} Sentence for the overlap list
+   */
+  describeOverlap(pioneers, overlap) {
+    const names = formatList(pioneers.map((pioneer) => pioneer.name));
+
+    if ("gap" in overlap) {
+      return t("compare.apart", { names, count: overlap.gap });
+    }
+
+    return t("compare.together", {
+      names,
+      years: formatRange(overlap),
+      count: overlap.years,
+    });
+  }
+
+  /**
+   * Dispatch a custom event from the dialog element
+   * @param {string} name - Event name ('compare:open', 'compare:change'
+   *   or 'compare:close')
+   * @param {Object} detail - Event detail
+   */
+  emit(name, detail) {
+    this.backdrop.dispatchEvent(new window.CustomEvent(name, { detail }));
+  }
+}
+
+// Export the Compare class
+export default Compare;
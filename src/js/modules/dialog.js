@@ -0,0 +1,275 @@
+/**
+ * Dialog Module
+ *
+ * Generic modal dialog controller for any component (pioneer details,
+ * search, settings, share sheets):
+ * - Focus trap (one document listener shared by every dialog)
+ * - Stackable: nested dialogs open on top, Escape closes the topmost one
+ * - Background content made inert while a dialog is open
+ * - Focus moves in on open and back to the trigger on close
+ * - Click outside and [data-dialog-close] elements close the dialog
+ * - Body scroll lock
+ * - dialog:open / dialog:close events
+ */
+
+const FOCUSABLE_SELECTOR = [
+  "button:not([disabled])",
+  "a[href]",
+  "input:not([disabled])",
+  "select:not([disabled])",
+  "textarea:not([disabled])",
+  '[tabindex]:not([tabindex="-1"])',
+].join(",");
+
+// Open dialogs, topmost last
+const stack = [];
+
+// Elements this module made inert (so it never un-inerts other code's)
+const inertElements = new Set();
+
+let keydownAttached = false;
+
+/**
+ * Route keyboard events to the topmost dialog
+ * @param {KeyboardEvent} e - Keydown event
+ */
+function handleDocumentKeydown(e) {
+  stack[stack.length - 1]?.handleKeydown(e);
+}
+
+/**
+ * Make everything outside the topmost dialog inert
+ * Lower dialogs in the stack become inert too.
+ */
+function updateInert() {
+  inertElements.forEach((element) => element.removeAttribute("inert"));
+  inertElements.clear();
+
+  const top = stack[stack.length - 1];
+  let node = top?.element;
+
+  // Siblings of the dialog and of each of its ancestors up to <body>
+  while (node && node !== document.body && node.parentElement) {
+    Array.from(node.parentElement.children).forEach((sibling) => {
+      if (sibling !== node && !sibling.hasAttribute("inert")) {
+        sibling.setAttribute("inert", "");
+        inertElements.add(sibling);
+      }
+    });
+    node = node.parentElement;
+  }
+}
+
+class Dialog {
+  /**
+   * Initialize the Dialog component
+   * @param {HTMLElement} element - Dialog root (the backdrop, if it has one)
+   * @param {Object} options - Configuration options
+   * @param {HTMLElement} options.panel - Visible dialog box inside the
+   *   backdrop (defaults to the element itself)
+   * @param {HTMLElement} options.initialFocus - Element focused on open
+   *   (defaults to the first focusable element)
+   * @param {string} options.activeClass - Class added while open
+   * @param {boolean} options.closeOnEscape - Close on the Escape key
+   * @param {boolean} options.closeOnBackdrop - Close on clicks outside
+   *   the panel
+   * @param {boolean} options.lockScroll - Lock body scroll while open
+   */
+  constructor(element, options = {}) {
+    this.element = element;
+    this.options = {
+      panel: element,
+      initialFocus: null,
+      activeClass: "modal-backdrop--active",
+      closeOnEscape: true,
+      closeOnBackdrop: true,
+      lockScroll: true,
+      ...options,
+    };
+
+    this.panel = this.options.panel || element;
+    this.isOpen = false;
+    this.returnFocusElement = null;
+  }
+
+  /**
+   * Initialize dialog
+   */
+  init() {
+    if (!this.element) {
+      console.warn("Dialog element not found");
+      return;
+    }
+
+    this.element.addEventListener("click", (e) => {
+      if (e.target.closest("[data-dialog-close]")) {
+        this.close();
+      } else if (
+        this.options.closeOnBackdrop &&
+        e.target === this.element &&
+        this.panel !== this.element
+      ) {
+        this.close();
+      }
+    });
+
+    if (!keydownAttached) {
+      document.addEventListener("keydown", handleDocumentKeydown);
+      keydownAttached = true;
+    }
+  }
+
+  /**
+   * Check whether this dialog is the topmost open dialog
+   * @returns {boolean} True if it receives keyboard handling
+   */
+  isTopmost() {
+    return stack[stack.length - 1] === this;
+  }
+
+  /**
+   * Open the dialog on top of any open dialogs
+   * @param {Object} options - Open options
+   * @param {HTMLElement} options.returnFocus - Element focused on close
+   *   (defaults to the element focused before opening)
+   */
+  open({ returnFocus = document.activeElement } = {}) {
+    if (this.isOpen || !this.element) {
+      return;
+    }
+
+    this.returnFocusElement = returnFocus;
+    this.isOpen = true;
+    stack.push(this);
+
+    this.element.classList.add(this.options.activeClass);
+    this.element.setAttribute("aria-hidden", "false");
+    this.updateScrollLock();
+    updateInert();
+
+    this.focusInitialElement();
+    this.emit("dialog:open");
+  }
+
+  /**
+   * Close the dialog (and any dialogs stacked above it)
+   */
+  close() {
+    if (!this.isOpen) {
+      return;
+    }
+
+    while (!this.isTopmost()) {
+      stack[stack.length - 1].close();
+    }
+
+    stack.pop();
+    this.isOpen = false;
+
+    this.element.classList.remove(this.options.activeClass);
+    this.element.setAttribute("aria-hidden", "true");
+    this.updateScrollLock();
+    updateInert();
+
+    // Restore focus once the background is interactive again
+    if (this.returnFocusElement?.isConnected) {
+      this.returnFocusElement.focus();
+    }
+    this.returnFocusElement = null;
+
+    this.emit("dialog:close");
+  }
+
+  /**
+   * Get the focusable elements inside the panel, in tab order
+   * @returns {HTMLElement[]} Visible, enabled focusable elements
+   */
+  getFocusableElements() {
+    return Array.from(this.panel.querySelectorAll(FOCUSABLE_SELECTOR)).filter(
+      (element) => !element.closest("[hidden], [inert]")
+    );
+  }
+
+  /**
+   * Move focus into the dialog
+   * The backdrop becomes visible immediately (see modal.css), so this
+   * does not need to wait for the fade-in.
+   */
+  focusInitialElement() {
+    const target =
+      this.options.initialFocus || this.getFocusableElements()[0] || null;
+
+    if (target) {
+      target.focus();
+      return;
+    }
+
+    // Nothing focusable: focus the panel itself
+    if (!this.panel.hasAttribute("tabindex")) {
+      this.panel.setAttribute("tabindex", "-1");
+    }
+    this.panel.focus();
+  }
+
+  /**
+   * Handle keyboard events while this is the topmost dialog
+   * @param {KeyboardEvent} e - Keydown event
+   */
+  handleKeydown(e) {
+    if (e.key === "Escape" && this.options.closeOnEscape) {
+      e.preventDefault();
+      this.close();
+    } else if (e.key === "Tab") {
+      this.trapFocus(e);
+    }
+  }
+
+  /**
+   * Keep Tab / Shift+Tab cycling inside the panel
+   * @param {KeyboardEvent} e - Keydown event
+   */
+  trapFocus(e) {
+    const focusable = this.getFocusableElements();
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const active = document.activeElement;
+
+    if (!first) {
+      e.preventDefault();
+      return;
+    }
+
+    if (!this.panel.contains(active)) {
+      // Focus escaped (e.g. to <body> after a click): bring it back
+      e.preventDefault();
+      (e.shiftKey ? last : first).focus();
+    } else if (e.shiftKey && active === first) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && active === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
+
+  /**
+   * Lock body scroll while any dialog that asks for it is open
+   */
+  updateScrollLock() {
+    const isLocked = stack.some((dialog) => dialog.options.lockScroll);
+    document.body.classList.toggle("modal-open", isLocked);
+  }
+
+  /**
+   * Dispatch a custom event from the dialog element
+   * @param {string} name - Event name ('dialog:open' or 'dialog:close')
+   */
+  emit(name) {
+    this.element.dispatchEvent(
+      new window.CustomEvent(name, { bubbles: true, detail: { dialog: this } })
+    );
+  }
+}
+
+// Export the Dialog class
+export default Dialog;
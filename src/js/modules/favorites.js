@@ -0,0 +1,240 @@
+/**
+ * Favorites Module
+ *
+ * "My Favorites" section and the favorite toggles across the page:
+ * - Heart toggles on pioneer cards and in the modal header
+ *   ([data-favorite-id], pressed state in aria-pressed)
+ * - Favorite pioneers in their own Carousel, in the order they were added
+ * - Export the list as a JSON file and import (merge) one back
+ * - Saved to localStorage (see utils/favorites.js) and synced with
+ *   changes made in other tabs
+ * - favorites:change event for other modules
+ */
+
+import { createElement } from "../utils/dom.js";
+import {
+  FAVORITES_STORAGE_KEY,
+  exportFavorites,
+  getFavorites,
+  loadFavorites,
+  parseFavorites,
+  setFavorites,
+  toggleFavorite,
+} from "../utils/favorites.js";
+import { t } from "../utils/i18n.js";
+import {
+  CARD_VARIANTS,
+  renderPioneerCarousel,
+  renderPioneerSlides,
+} from "./pioneer-cards.js";
+
+// Name of the downloaded file
+const EXPORT_FILENAME = "techpioneers-favorites.json";
+
+class Favorites {
+  /**
+   * Initialize the Favorites component
+   * @param {HTMLElement} element - Section element (#favorites)
+   * @param {Object} options - Configuration options
+   * @param {Object} options.pioneers - Pioneer records keyed by id
+   * @param {Object} options.carouselOptions - Options passed to Carousel
+   */
+  constructor(element, { pioneers = {}, carouselOptions = {} } = {}) {
+    this.container = element;
+    this.title = element?.querySelector(".favorites__title");
+    this.status = element?.querySelector(".favorites__status");
+    this.carouselElement = element?.querySelector(
+      '[data-carousel="favorites"]'
+    );
+    this.exportButton = element?.querySelector("[data-favorites-export]");
+    this.importButton = element?.querySelector("[data-favorites-import]");
+    this.fileInput = element?.querySelector("[data-favorites-file]");
+
+    this.pioneers = pioneers;
+    this.carouselOptions = carouselOptions;
+    this.carousel = null;
+  }
+
+  /**
+   * Initialize favorites
+   * The toggles work without the section; only the list needs it.
+   */
+  init() {
+    if (this.container && this.carouselElement) {
+      this.carousel = renderPioneerCarousel(
+        this.carouselElement,
+        this.getPioneers(),
+        CARD_VARIANTS.CLICKABLE,
+        this.carouselOptions
+      );
+    } else {
+      console.warn("Favorites section not found");
+    }
+
+    // Toggles on cards (rendered any time) and in the modal
+    document.addEventListener("click", (e) => {
+      const toggle = e.target.closest("[data-favorite-id]");
+      if (toggle) {
+        this.toggle(toggle.dataset.favoriteId);
+      }
+    });
+
+    this.exportButton?.addEventListener("click", () => this.download());
+    this.importButton?.addEventListener("click", () => this.fileInput?.click());
+    this.fileInput?.addEventListener("change", () => {
+      const [file] = this.fileInput.files;
+      if (file) {
+        this.importFile(file);
+      }
+    });
+
+    // Favorites changed in another tab
+    window.addEventListener("storage", (e) => {
+      if (e.key === FAVORITES_STORAGE_KEY || e.key === null) {
+        loadFavorites();
+        this.update();
+      }
+    });
+
+    this.update();
+  }
+
+  /**
+   * Get the favorite pioneers that exist in the dataset
+   * @returns {Object[]} Pioneer records, oldest favorite first
+   */
+  getPioneers() {
+    return getFavorites()
+      .map((id) => this.pioneers[id])
+      .filter(Boolean);
+  }
+
+  /**
+   * Add a pioneer to the favorites, or remove it
+   * @param {string} pioneerId - Pioneer id
+   * @returns {boolean} Whether the pioneer is now a favorite
+   */
+  toggle(pioneerId) {
+    if (!this.pioneers[pioneerId]) {
+      console.warn(`Pioneer data not found for ID: ${pioneerId}`);
+      return false;
+    }
+
+    const isFavorite = toggleFavorite(pioneerId);
+    this.update();
+    return isFavorite;
+  }
+
+  /**
+   * Sync the section and every toggle with the saved favorites
+   * @param {string} message - Status text to show instead of the count
+   */
+  update(message) {
+    const pioneers = this.getPioneers();
+    const ids = pioneers.map((pioneer) => pioneer.id);
+
+    document.querySelectorAll("[data-favorite-id]").forEach((toggle) => {
+      const isPressed = ids.includes(toggle.dataset.favoriteId);
+      toggle.setAttribute("aria-pressed", String(isPressed));
+    });
+
+    if (this.carousel) {
+      this.updateCarousel(pioneers);
+    }
+
+    if (this.exportButton) {
+      this.exportButton.disabled = pioneers.length === 0;
+    }
+    this.updateStatus(pioneers.length, message);
+
+    // Sent from the section, or from the document without one
+    (this.container || document).dispatchEvent(
+      new window.CustomEvent("favorites:change", { detail: { ids } })
+    );
+  }
+
+  /**
+   * Re-render the favorites carousel
+   * @param {Object[]} pioneers - Favorite pioneer records
+   */
+  updateCarousel(pioneers) {
+    // The focused card may be about to go; keep focus in the section
+    const hadFocus = this.carouselElement.contains(document.activeElement);
+
+    renderPioneerSlides(this.carousel.track, pioneers, CARD_VARIANTS.CLICKABLE);
+    this.carousel.refresh();
+    this.carouselElement.hidden = pioneers.length === 0;
+
+    if (hadFocus && !this.carouselElement.contains(document.activeElement)) {
+      this.title?.focus();
+    }
+  }
+
+  /**
+   * Update the visible/announced status
+   * @param {number} count - Number of favorite pioneers
+   * @param {string} message - Text to show instead of the count
+   */
+  updateStatus(count, message) {
+    if (!this.status) {
+      return;
+    }
+
+    if (message) {
+      this.status.textContent = message;
+    } else {
+      this.status.textContent =
+        count === 0 ? t("favorites.empty") : t("favorites.status", { count });
+    }
+  }
+
+  /**
+   * Download the favorites as a JSON file
+   */
+  download() {
+    const blob = new window.Blob([exportFavorites(getFavorites())], {
+      type: "application/json",
+    });
+    const url = window.URL.createObjectURL(blob);
+    const link = createElement("a", {
+      href: url,
+      download: EXPORT_FILENAME,
+      hidden: true,
+    });
+
+    document.body.append(link);
+    link.click();
+    link.remove();
+    window.URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Merge the favorites of an exported file into the list
+   * Pioneers missing from the dataset are skipped.
+   * @param {File} file - File picked by the visitor
+   * @returns {Promise<number>} Number of favorites added (-1 on error)
+   */
+  async importFile(file) {
+    try {
+      const imported = parseFavorites(await file.text()).filter(
+        (id) => this.pioneers[id]
+      );
+      const previousCount = getFavorites().length;
+      const count =
+        setFavorites([...getFavorites(), ...imported]).length - previousCount;
+
+      this.update(t("favorites.imported", { count }));
+      return count;
+    } catch (error) {
+      console.warn("Failed to import favorites:", error);
+      this.update(t("favorites.importFailed"));
+      return -1;
+    } finally {
+      // Picking the same file again still fires "change"
+      this.fileInput.value = "";
+    }
+  }
+}
+
+// Export the Favorites class
+export default Favorites;
@@ -0,0 +1,76 @@
+/**
+ * Language Switcher Module
+ *
+ * Language picker in the header:
+ * - One option per locale registered in utils/i18n.js, each named in its
+ *   own language
+ * - Saves the choice to localStorage (it then wins over navigator.languages)
+ * - Reloads the page, since every component renders its text once
+ */
+
+import { createElement } from "../utils/dom.js";
+import { LOCALES, getLocale, saveLocalePreference } from "../utils/i18n.js";
+
+class LanguageSwitcher {
+  /**
+   * Initialize the LanguageSwitcher component
+   */
+  constructor() {
+    this.container = document.querySelector(".language-switcher");
+    this.select = this.container?.querySelector(".language-switcher__select");
+  }
+
+  /**
+   * Initialize language switcher
+   */
+  init() {
+    if (!this.select) {
+      console.warn("Language switcher select not found");
+      return;
+    }
+
+    this.render();
+
+    this.select.addEventListener("change", () => {
+      this.setLanguage(this.select.value);
+    });
+  }
+
+  /**
+   * Render one option per supported locale
+   */
+  render() {
+    const current = getLocale();
+
+    this.select.replaceChildren(
+      ...Object.entries(LOCALES).map(([id, locale]) =>
+        createElement(
+          "option",
+          { value: id, lang: id, selected: id === current },
+          [locale.label]
+        )
+      )
+    );
+  }
+
+  /**
+   * Switch to another language
+   * @param {string} locale - Locale id (see LOCALES)
+   * @returns {boolean} False if the locale is unknown or already shown
+   */
+  setLanguage(locale) {
+    if (
+      locale === getLocale() ||
+      !Object.prototype.hasOwnProperty.call(LOCALES, locale)
+    ) {
+      return false;
+    }
+
+    saveLocalePreference(locale);
+    window.location.reload();
+    return true;
+  }
+}
+
+// Export the LanguageSwitcher class
+export default LanguageSwitcher;
@@ -1,16 +1,35 @@
 /**
  * Modal Module
  *
- * Accessible modal system with:
- * - Focus trap
- * - ESC key to close
- * - Click outside to close
- * - Body scroll lock
- * - Pioneer data display
+ * Pioneer profile dialog, built on the generic Dialog controller
+ * (focus trap, Escape / click outside to close, inert background,
+ * scroll lock):
+ * - Pioneer profile display (see pioneer-profile.js)
+ * - Related pioneers and citation links inside the profile
+ * - Favorite toggle in the header (clicks handled by Favorites)
+ * - Previous/next pioneer (buttons, arrow keys, swipe) in carousel order
+ * - modal:open / modal:change / modal:close events for other modules
+ *   (e.g. Router, carousels)
  */
 
+import Dialog from "./dialog.js";
+import { renderPioneerProfile } from "./pioneer-profile.js";
+import { formatYears, hasProfile } from "../utils/pioneer-data.js";
+import { isFavorite } from "../utils/favorites.js";
+import { getDirection, getLocale, t } from "../utils/i18n.js";
+
+// Real carousel slides (loop clones excluded)
+const SLIDE_SELECTOR = ".carousel__slide:not(.carousel__slide--clone)";
+
 class Modal {
-  constructor() {
+  /**
+   * Initialize the Modal component
+   * @param {Object} pioneersData - Pioneer records keyed by id
+   * @param {Object} options - Configuration options
+   * @param {Object} options.resourcesByPioneer - Related resources keyed
+   *   by pioneer id (see utils/resource-data.js)
+   */
+  constructor(pioneersData = {}, { resourcesByPioneer = {} } = {}) {
     this.modalBackdrop = document.getElementById("pioneer-modal");
     this.modal = this.modalBackdrop?.querySelector(".modal");
     this.closeButton = document.getElementById("modal-close");
@@ -18,107 +37,27 @@ class Modal {
     this.modalAvatarSource = document.getElementById("modal-avatar-source");
     this.modalTitle = document.getElementById("modal-title");
     this.modalSubtitle = document.getElementById("modal-subtitle");
+    this.favoriteButton = document.getElementById("modal-favorite");
     this.modalContent = document.getElementById("modal-content");
+    this.modalBody = this.modal?.querySelector(".modal__body");
+    this.nav = document.getElementById("modal-nav");
+    this.prevButton = document.getElementById("modal-prev");
+    this.nextButton = document.getElementById("modal-next");
+    this.navStatus = document.getElementById("modal-nav-status");
 
+    this.dialog = null;
     this.isOpen = false;
-    this.focusableElements = [];
-    this.firstFocusableElement = null;
-    this.lastFocusableElement = null;
-    this.previousActiveElement = null;
-
-    // Pioneer data (in real app, this would come from an API or database)
-    this.pioneersData = {
-      "katherine-johnson": {
-        name: "Katherine Johnson",
-        role: "NASA Mathematician",
-        image: "/assets/images/katherine_johnson.svg",
-        imageWebP: "/assets/images/katherine_johnson.webp",
-        bio: "Katherine Johnson was an American mathematician whose calculations of orbital mechanics as a NASA employee were critical to the success of the first and subsequent U.S. crewed spaceflights. Her precise calculations were essential to the success of the Mercury and Apollo missions, including the historic Apollo 11 moon landing.",
-        achievements: [
-          "Calculated trajectories for Project Mercury and Apollo 11 moon landing",
-          "Received Presidential Medal of Freedom in 2015",
-          "Subject of the Academy Award-nominated film Hidden Figures (2016)",
-          "Pioneer in breaking barriers for African American women in STEM fields",
-          "Her work ensured the safe return of astronauts from space",
-        ],
-        years: "1918 - 2020",
-      },
-      "claude-shannon": {
-        name: "Claude Shannon",
-        role: "Mathematician & Electrical Engineer",
-        image: "/assets/images/claude_shannon.svg",
-        imageWebP: "/assets/images/claude_shannon.webp",
-        bio: "Claude Shannon was an American mathematician, electrical engineer, and cryptographer known as 'the father of information theory'. His master's thesis demonstrated that electrical applications of Boolean algebra could construct any logical numerical relationship, laying the foundation for digital circuit design.",
-        achievements: [
-          "Founded information theory and digital circuit design theory",
-          "Published landmark paper 'A Mathematical Theory of Communication' (1948)",
-          "Developed sampling theorem fundamental to digital communications",
-          "Made significant contributions to cryptography during World War II",
-          "Pioneered artificial intelligence and computer chess",
-        ],
-        years: "1916 - 2001",
-      },
-      "radia-perlman": {
-        name: "Radia Perlman",
-        role: "Computer Scientist & Network Engineer",
-        image: "/assets/images/radia_perlman.svg",
-        imageWebP: "/assets/images/radia_perlman.webp",
-        bio: "Radia Perlman is an American computer scientist and network engineer, often called the 'Mother of the Internet'. She invented the Spanning Tree Protocol (STP), which is fundamental to the operation of network bridges and has made significant contributions to network design and standardization.",
-        achievements: [
-          "Invented the Spanning Tree Protocol (STP) for network stability",
-          "Made fundamental contributions to network routing protocols",
-          "Received numerous awards including SIGCOMM Award and Internet Hall of Fame induction",
-          "Holds over 100 patents in network technologies",
-          "Author of influential textbook 'Interconnections: Bridges, Routers, Switches, and Internetworking Protocols'",
-        ],
-        years: "1951 - Present",
-      },
-      "vint-cerf": {
-        name: "Vint Cerf",
-        role: "Computer Scientist & Internet Pioneer",
-        image: "/assets/images/vint_cerf.svg",
-        imageWebP: "/assets/images/vint_cerf.webp",
-        bio: "Vinton Gray Cerf is an American Internet pioneer and is recognized as one of 'the fathers of the Internet'. He co-designed the TCP/IP protocols and the architecture of the Internet with Robert Kahn. His contributions have been fundamental to the development and expansion of the Internet worldwide.",
-        achievements: [
-          "Co-designed TCP/IP protocols that power the Internet",
-          "Received Turing Award (1983) and Presidential Medal of Freedom (2005)",
-          "Served as vice president and Chief Internet Evangelist at Google",
-          "Founding president of the Internet Society",
-          "Continues to advocate for Internet accessibility and open standards",
-        ],
-        years: "1943 - Present",
-      },
-      "shafrira-goldwasser": {
-        name: "Shafi Goldwasser",
-        role: "Computer Scientist & Cryptographer",
-        image: "/assets/images/shafrira_goldwasser.svg",
-        imageWebP: "/assets/images/shafrira_goldwasser.webp",
-        bio: "Shafi Goldwasser is an Israeli-American computer scientist and winner of the Turing Award in 2012. She is known for her pioneering work in cryptography and computational complexity theory, particularly in the areas of probabilistic encryption, zero-knowledge proofs, and complexity-based cryptography.",
-        achievements: [
-          "Received Turing Award (2012) for contributions to cryptography",
-          "Co-inventor of zero-knowledge proofs",
-          "Pioneer in probabilistic encryption and interactive proof systems",
-          "Professor at MIT and Weizmann Institute of Science",
-          "Founded cryptography companies and mentored numerous computer scientists",
-        ],
-        years: "1958 - Present",
-      },
-      "donald-knuth": {
-        name: "Donald Knuth",
-        role: "Computer Scientist & Mathematician",
-        image: "/assets/images/donald_knuth.svg",
-        imageWebP: "/assets/images/donald_knuth.webp",
-        bio: "Donald Ervin Knuth is an American computer scientist and mathematician, often called the 'father of the analysis of algorithms'. He is best known as the author of the multi-volume work 'The Art of Computer Programming', one of the most respected references in computer science. He also created the TeX typesetting system.",
-        achievements: [
-          "Author of 'The Art of Computer Programming', the seminal work in computer science",
-          "Created the TeX typesetting system and METAFONT font design system",
-          "Received Turing Award (1974) and numerous other prestigious honors",
-          "Pioneered the analysis of algorithm complexity and computational theory",
-          "Professor Emeritus at Stanford University",
-        ],
-        years: "1938 - Present",
-      },
-    };
+    this.currentPioneerId = null;
+
+    // Carousel the modal was opened from (sets the prev/next order)
+    this.source = null;
+
+    // Swipe gesture start point
+    this.swipeStart = null;
+
+    // Validated pioneer records keyed by id (see utils/pioneer-data.js)
+    this.pioneersData = pioneersData;
+    this.resourcesByPioneer = resourcesByPioneer;
   }
 
   /**
@@ -130,6 +69,12 @@ class Modal {
       return;
     }
 
+    this.dialog = new Dialog(this.modalBackdrop, {
+      panel: this.modal,
+      initialFocus: this.closeButton,
+    });
+    this.dialog.init();
+
     this.attachEventListeners();
   }
 
@@ -137,97 +82,306 @@ class Modal {
    * Attach event listeners
    */
   attachEventListeners() {
-    // Close button
-    this.closeButton?.addEventListener("click", () => this.close());
-
-    // Click outside to close
-    this.modalBackdrop?.addEventListener("click", (e) => {
+    // Closed by the dialog (close button, Escape, click outside) or close()
+    this.modalBackdrop.addEventListener("dialog:close", (e) => {
       if (e.target === this.modalBackdrop) {
-        this.close();
+        this.handleClose();
       }
     });
 
-    // ESC key to close
+    // Arrow keys to browse (not while a nested dialog is on top)
     document.addEventListener("keydown", (e) => {
-      if (e.key === "Escape" && this.isOpen) {
-        this.close();
+      if (!this.isOpen || !this.dialog.isTopmost()) {
+        return;
       }
+
+      if (
+        (e.key === "ArrowLeft" || e.key === "ArrowRight") &&
+        !e.altKey &&
+        !e.ctrlKey &&
+        !e.metaKey
+      ) {
+        // The arrow toward the start of the line goes back (right in RTL)
+        const back =
+          getDirection(getLocale()) === "rtl" ? "ArrowRight" : "ArrowLeft";
+        e.preventDefault();
+        this.step(e.key === back ? -1 : 1);
+      }
+    });
+
+    // Previous/next buttons
+    this.prevButton?.addEventListener("click", () => this.step(-1));
+    this.nextButton?.addEventListener("click", () => this.step(1));
+
+    // Related pioneers and citation links in the profile
+    this.modalContent?.addEventListener("click", (e) => {
+      this.handleContentClick(e);
     });
 
+    // Swipe to browse
+    this.attachSwipeListeners();
+
     // Attach click listeners to all pioneer cards
     this.attachCardListeners();
   }
 
   /**
    * Attach click listeners to pioneer cards
+   * Uses delegation so cards rendered after init still open the modal
    */
   attachCardListeners() {
-    const pioneerButtons = document.querySelectorAll(
-      ".pioneer-card--clickable .pioneer-card__button"
-    );
+    document.addEventListener("click", (e) => {
+      const button = e.target.closest(".pioneer-card__button");
+      const pioneerId = button?.getAttribute("data-pioneer-id");
+      if (pioneerId) {
+        this.open(pioneerId, { source: button.closest("[data-carousel]") });
+      }
+    });
+  }
 
-    pioneerButtons.forEach((button) => {
-      button.addEventListener("click", () => {
-        const pioneerId = button.getAttribute("data-pioneer-id");
-        if (pioneerId) {
-          this.open(pioneerId);
-        }
-      });
+  /**
+   * Attach swipe listeners (touch and pen; mouse drags select text)
+   */
+  attachSwipeListeners() {
+    const minDistance = 50;
+
+    this.modal?.addEventListener("pointerdown", (e) => {
+      this.swipeStart =
+        e.pointerType === "mouse" ? null : { x: e.clientX, y: e.clientY };
+    });
+
+    this.modal?.addEventListener("pointerup", (e) => {
+      if (!this.swipeStart) {
+        return;
+      }
+
+      const diffX = e.clientX - this.swipeStart.x;
+      const diffY = e.clientY - this.swipeStart.y;
+      this.swipeStart = null;
+
+      // Horizontal swipes only, so scrolling the biography still works
+      if (Math.abs(diffX) >= minDistance && Math.abs(diffX) > Math.abs(diffY)) {
+        this.step(diffX > 0 ? -1 : 1);
+      }
+    });
+
+    this.modal?.addEventListener("pointercancel", () => {
+      this.swipeStart = null;
     });
   }
 
   /**
    * Open modal with pioneer data
+   * @param {string} pioneerId - Pioneer id
+   * @param {Object} options - Open options
+   * @param {HTMLElement} options.source - Carousel the pioneer was picked
+   *   from; prev/next follow its slide order
+   * @returns {boolean} Whether the pioneer is shown
    */
-  open(pioneerId) {
+  open(pioneerId, { source = null } = {}) {
     const pioneerData = this.pioneersData[pioneerId];
 
     if (!pioneerData) {
       console.warn(`Pioneer data not found for ID: ${pioneerId}`);
-      return;
+      return false;
+    }
+
+    if (!hasProfile(pioneerData)) {
+      console.warn(`Pioneer "${pioneerId}" has no profile to display`);
+      return false;
+    }
+
+    // Already showing this pioneer
+    if (this.isOpen && this.currentPioneerId === pioneerId) {
+      return true;
     }
 
     // Update modal content
     this.updateContent(pioneerData);
+    this.currentPioneerId = pioneerId;
+
+    if (!this.isOpen) {
+      this.source = source;
+    }
+    this.updateNavigation();
+
+    if (!this.isOpen) {
+      this.isOpen = true;
+      this.dialog.open();
+    }
+
+    this.emit("modal:open", { pioneerId });
+    return true;
+  }
+
+  /**
+   * Close modal
+   */
+  close() {
+    this.dialog?.close();
+  }
+
+  /**
+   * Reset pioneer state once the dialog has closed
+   */
+  handleClose() {
+    if (!this.isOpen) {
+      return;
+    }
 
-    // Store previously focused element
-    this.previousActiveElement = document.activeElement;
+    this.isOpen = false;
 
-    // Show modal
-    this.modalBackdrop.classList.add("modal-backdrop--active");
-    this.modalBackdrop.setAttribute("aria-hidden", "false");
+    const pioneerId = this.currentPioneerId;
+    this.currentPioneerId = null;
+    this.source = null;
+    this.emit("modal:close", { pioneerId });
+  }
 
-    // Lock body scroll
-    document.body.classList.add("modal-open");
+  /**
+   * Get the pioneer ids prev/next step through
+   * Follows the slide order of the source carousel (as filtered and
+   * sorted); falls back to dataset order when opened from elsewhere.
+   * @returns {string[]} Ordered pioneer ids with a profile
+   */
+  getSequence() {
+    if (this.source) {
+      const ids = Array.from(
+        this.source.querySelectorAll(`${SLIDE_SELECTOR} [data-pioneer-id]`),
+        (button) => button.getAttribute("data-pioneer-id")
+      ).filter((id) => hasProfile(this.pioneersData[id]));
+
+      if (ids.includes(this.currentPioneerId)) {
+        return ids;
+      }
+    }
+
+    return Object.values(this.pioneersData)
+      .filter(hasProfile)
+      .map((pioneer) => pioneer.id);
+  }
+
+  /**
+   * Handle clicks inside the profile content
+   * @param {MouseEvent} e - Click event
+   */
+  handleContentClick(e) {
+    const related = e.target.closest("[data-related-id]");
+    const citation = e.target.closest(".modal__cite-link");
+
+    if (related) {
+      this.show(related.getAttribute("data-related-id"));
+
+      // The button was replaced with the new profile; land on its title
+      this.modalTitle?.focus();
+    } else if (citation) {
+      // Keep the hash (the router's) untouched; move to the source instead
+      e.preventDefault();
+      const source = document.getElementById(
+        citation.getAttribute("href").slice(1)
+      );
+      source?.scrollIntoView({ block: "nearest" });
+      source?.focus({ preventScroll: true });
+    }
+  }
 
-    // Set focus trap
-    this.setFocusTrap();
+  /**
+   * Show the previous or next pioneer (wraps around)
+   * @param {number} offset - -1 for previous, 1 for next
+   */
+  step(offset) {
+    const sequence = this.getSequence();
+    const index = sequence.indexOf(this.currentPioneerId);
 
-    // Focus first element
-    setTimeout(() => {
-      this.closeButton?.focus();
-    }, 500);
+    if (!this.isOpen || sequence.length < 2 || index === -1) {
+      return;
+    }
 
-    this.isOpen = true;
+    const nextIndex = (index + offset + sequence.length) % sequence.length;
+    this.show(sequence[nextIndex]);
   }
 
   /**
-   * Close modal
+   * Switch the open modal to another pioneer
+   * @param {string} pioneerId - Pioneer id (must have a profile)
    */
-  close() {
-    // Hide modal
-    this.modalBackdrop.classList.remove("modal-backdrop--active");
-    this.modalBackdrop.setAttribute("aria-hidden", "true");
+  show(pioneerId) {
+    const previousPioneerId = this.currentPioneerId;
+
+    if (
+      !this.isOpen ||
+      pioneerId === previousPioneerId ||
+      !hasProfile(this.pioneersData[pioneerId])
+    ) {
+      return;
+    }
 
-    // Unlock body scroll
-    document.body.classList.remove("modal-open");
+    this.updateContent(this.pioneersData[pioneerId]);
+    this.currentPioneerId = pioneerId;
+    this.updateNavigation();
 
-    // Restore focus
-    if (this.previousActiveElement) {
-      this.previousActiveElement.focus();
+    if (this.modalBody) {
+      this.modalBody.scrollTop = 0;
     }
 
-    this.isOpen = false;
+    // Position among the source carousel's slides, for syncing it
+    const slides = this.source?.querySelectorAll(SLIDE_SELECTOR) || [];
+    const slideIndex = Array.from(slides).findIndex((slide) =>
+      slide.querySelector(`[data-pioneer-id="${pioneerId}"]`)
+    );
+
+    this.emit("modal:change", {
+      pioneerId,
+      previousPioneerId,
+      source: this.source,
+      slideIndex,
+    });
+  }
+
+  /**
+   * Update the prev/next buttons and position for the current pioneer
+   */
+  updateNavigation() {
+    if (!this.nav) {
+      return;
+    }
+
+    const sequence = this.getSequence();
+    const index = sequence.indexOf(this.currentPioneerId);
+    const canBrowse = sequence.length > 1 && index !== -1;
+
+    this.nav.hidden = !canBrowse;
+
+    if (canBrowse) {
+      const count = sequence.length;
+      const prev = this.pioneersData[sequence[(index - 1 + count) % count]];
+      const next = this.pioneersData[sequence[(index + 1) % count]];
+
+      this.prevButton?.setAttribute(
+        "aria-label",
+        t("modal.previousNamed", { name: prev.name })
+      );
+      this.nextButton?.setAttribute(
+        "aria-label",
+        t("modal.nextNamed", { name: next.name })
+      );
+
+      if (this.navStatus) {
+        this.navStatus.textContent = t("modal.position", {
+          index: index + 1,
+          total: count,
+        });
+      }
+    }
+  }
+
+  /**
+   * Dispatch a custom event from the modal element
+   * @param {string} name - Event name ('modal:open', 'modal:change' or
+   *   'modal:close')
+   * @param {Object} detail - Event detail
+   */
+  emit(name, detail) {
+    this.modalBackdrop.dispatchEvent(new window.CustomEvent(name, { detail }));
   }
 
   /**
@@ -239,8 +393,13 @@ class Modal {
       this.modalAvatar.src = data.image;
       this.modalAvatar.alt = data.name;
 
-      if (this.modalAvatarSource && data.imageWebP) {
-        this.modalAvatarSource.srcset = data.imageWebP;
+      // Drop the previous pioneer's WebP so it never shows the wrong photo
+      if (this.modalAvatarSource) {
+        if (data.imageWebP) {
+          this.modalAvatarSource.srcset = data.imageWebP;
+        } else {
+          this.modalAvatarSource.removeAttribute("srcset");
+        }
       }
     }
 
@@ -249,65 +408,33 @@ class Modal {
       this.modalTitle.textContent = data.name;
     }
     if (this.modalSubtitle) {
-      this.modalSubtitle.textContent = `${data.role} (${data.years})`;
+      this.modalSubtitle.textContent = t("modal.subtitle", {
+        role: data.role,
+        years: formatYears(data),
+      });
     }
 
-    // Update content
-    if (this.modalContent) {
-      this.modalContent.innerHTML = `
-        <h3 class="modal__section-title">Biography</h3>
-        <p class="modal__text">${data.bio}</p>
-        
-        <h3 class="modal__section-title">Key Achievements</h3>
-        <ul class="modal__list">
-          ${data.achievements.map((achievement) => `<li class="modal__list-item">${achievement}</li>`).join("")}
-        </ul>
-      `;
+    // Point the favorite toggle at this pioneer
+    if (this.favoriteButton) {
+      this.favoriteButton.dataset.favoriteId = data.id;
+      this.favoriteButton.setAttribute(
+        "aria-label",
+        t("favorites.toggle", { name: data.name })
+      );
+      this.favoriteButton.setAttribute(
+        "aria-pressed",
+        String(isFavorite(data.id))
+      );
     }
-  }
 
-  /**
-   * Set up focus trap
-   */
-  setFocusTrap() {
-    // Get all focusable elements
-    const focusableSelectors = [
-      "button:not([disabled])",
-      "a[href]:not([disabled])",
-      "input:not([disabled])",
-      "select:not([disabled])",
-      "textarea:not([disabled])",
-      '[tabindex]:not([tabindex="-1"])',
-    ];
-
-    this.focusableElements = this.modal.querySelectorAll(
-      focusableSelectors.join(",")
+    // Update content
+    this.modalContent?.replaceChildren(
+      ...renderPioneerProfile(data, {
+        pioneersById: this.pioneersData,
+        resources: this.resourcesByPioneer[data.id],
+        idPrefix: "modal",
+      })
     );
-
-    if (this.focusableElements.length > 0) {
-      this.firstFocusableElement = this.focusableElements[0];
-      this.lastFocusableElement =
-        this.focusableElements[this.focusableElements.length - 1];
-
-      // Trap focus
-      this.modal.addEventListener("keydown", (e) => {
-        if (e.key === "Tab") {
-          if (e.shiftKey) {
-            // Shift + Tab
-            if (document.activeElement === this.firstFocusableElement) {
-              e.preventDefault();
-              this.lastFocusableElement.focus();
-            }
-          } else {
-            // Tab
-            if (document.activeElement === this.lastFocusableElement) {
-              e.preventDefault();
-              this.firstFocusableElement.focus();
-            }
-          }
-        }
-      });
-    }
   }
 }
 
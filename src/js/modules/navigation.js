@@ -10,6 +10,8 @@
  * - Active section highlighting
  */
 
+import { scrollToElement } from "../utils/scroll.js";
+
 class Navigation {
   /**
    * Initialize the Navigation component
@@ -153,9 +155,9 @@ class Navigation {
   setupSmoothScroll() {
     this.allAnchorLinks.forEach((link) => {
       link.addEventListener("click", (e) => {
-        // Only handle hash links
+        // Only handle section hash links (route hashes belong to Router)
         const href = link.getAttribute("href");
-        if (!href || !href.startsWith("#")) {
+        if (!href || !href.startsWith("#") || href.startsWith("#/")) {
           return;
         }
 
@@ -165,23 +167,8 @@ class Navigation {
         const targetElement = document.getElementById(targetId);
 
         if (targetElement) {
-          // Get header height for offset (including margin)
-          const header = document.querySelector(".header");
-          const headerHeight = header ? header.offsetHeight : 0;
-          const headerMargin = 16; // 8px top + 8px bottom spacing
-
-          // Calculate scroll position with proper offset
-          const targetPosition =
-            targetElement.getBoundingClientRect().top +
-            window.pageYOffset -
-            headerHeight -
-            headerMargin;
-
-          // Smooth scroll to target
-          window.scrollTo({
-            top: targetPosition,
-            behavior: "smooth",
-          });
+          // Smooth scroll to target (offset by the sticky header)
+          scrollToElement(targetElement);
 
           // Update URL hash without scrolling
           window.history.pushState(null, null, href);
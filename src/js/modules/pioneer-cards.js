@@ -0,0 +1,261 @@
+/**
+ * Pioneer Cards Module
+ *
+ * Builds carousel slides from the pioneer dataset:
+ * - Featured cards (vertical layout, large avatar)
+ * - Clickable cards (open the pioneer modal via data-pioneer-id)
+ * - Any card whose pioneer has a full profile gets the same button
+ *   (pioneer-card--interactive), featured cards included
+ * - Favorite and compare toggles on every card (handled by the Favorites
+ *   and Compare modules)
+ * - <picture> avatars with WebP source and SVG fallback
+ * - Slide avatars are deferred (data-src/data-srcset) for Carousel to load,
+ *   except featured slides visible on first render (LCP candidates)
+ * - Renders a whole carousel track and initializes Carousel on it
+ */
+
+import Carousel, { getSlidesToShow } from "./carousel.js";
+import { createElement } from "../utils/dom.js";
+import { hasProfile } from "../utils/pioneer-data.js";
+import { isFavorite } from "../utils/favorites.js";
+import { isSelected } from "../utils/comparison.js";
+import { t } from "../utils/i18n.js";
+
+// Card variants (match the pioneer-card--* BEM modifiers)
+export const CARD_VARIANTS = {
+  FEATURED: "featured",
+  CLICKABLE: "clickable",
+};
+
+// Avatar size and loading strategy per variant
+const AVATAR_SETTINGS = {
+  [CARD_VARIANTS.FEATURED]: { size: 223, loading: "eager" },
+  [CARD_VARIANTS.CLICKABLE]: { size: 80, loading: "lazy" },
+};
+
+/**
+ * Create the <picture> avatar for a pioneer
+ * @param {Object} pioneer - Pioneer record
+ * @param {string} variant - Card variant
+ * @param {boolean} deferImages - Put URLs in data- attributes so the
+ *   carousel can load them when the slide comes near the viewport
+ * @returns {HTMLElement} Avatar wrapper element
+ */
+function createAvatar(pioneer, variant, deferImages) {
+  const { size, loading } = AVATAR_SETTINGS[variant];
+  const srcAttribute = deferImages ? "data-src" : "src";
+  const srcsetAttribute = deferImages ? "data-srcset" : "srcset";
+  const sources = [];
+
+  if (pioneer.imageWebP) {
+    sources.push(
+      createElement("source", {
+        [srcsetAttribute]: pioneer.imageWebP,
+        type: "image/webp",
+      })
+    );
+  }
+
+  const image = createElement("img", {
+    [srcAttribute]: pioneer.image,
+    alt: pioneer.name,
+    className: "pioneer-card__avatar-image",
+    width: size,
+    height: size,
+    loading,
+  });
+
+  return createElement("div", { className: "pioneer-card__avatar" }, [
+    createElement("picture", {}, [...sources, image]),
+  ]);
+}
+
+/**
+ * Create the favorite toggle of a card
+ * The Favorites module handles clicks and keeps aria-pressed in sync.
+ * @param {Object} pioneer - Pioneer record
+ * @returns {HTMLElement} Toggle button
+ */
+function createFavoriteButton(pioneer) {
+  return createElement(
+    "button",
+    {
+      className: "pioneer-card__favorite",
+      type: "button",
+      "aria-label": t("favorites.toggle", { name: pioneer.name }),
+      "aria-pressed": String(isFavorite(pioneer.id)),
+      "data-favorite-id": pioneer.id,
+    },
+    [
+      createElement("span", {
+        className: "pioneer-card__favorite-icon",
+        "aria-hidden": "true",
+      }),
+    ]
+  );
+}
+
+/**
+ * Create the compare toggle of a card
+ * The Compare module handles clicks and keeps aria-pressed in sync.
+ * @param {Object} pioneer - Pioneer record
+ * @returns {HTMLElement} Toggle button
+ */
+function createCompareButton(pioneer) {
+  return createElement(
+    "button",
+    {
+      className: "pioneer-card__compare",
+      type: "button",
+      "aria-label": t("compare.toggle", { name: pioneer.name }),
+      "aria-pressed": String(isSelected(pioneer.id)),
+      "data-compare-id": pioneer.id,
+    },
+    [
+      createElement("span", {
+        className: "pioneer-card__compare-icon",
+        "aria-hidden": "true",
+      }),
+    ]
+  );
+}
+
+/**
+ * Create a pioneer card
+ * @param {Object} pioneer - Pioneer record
+ * @param {string} variant - Card variant (see CARD_VARIANTS)
+ * @param {Object} options - Card options
+ * @param {boolean} options.deferImages - Defer the avatar (see createAvatar)
+ * @returns {HTMLElement} Card <article> element
+ */
+export function createPioneerCard(
+  pioneer,
+  variant = CARD_VARIANTS.CLICKABLE,
+  { deferImages = false } = {}
+) {
+  const children = [];
+  const isInteractive =
+    variant === CARD_VARIANTS.CLICKABLE || hasProfile(pioneer);
+
+  if (isInteractive) {
+    const label = t("cards.learnMore", { name: pioneer.name });
+    children.push(
+      createElement(
+        "button",
+        {
+          className: "pioneer-card__button",
+          type: "button",
+          "aria-label": label,
+          "data-pioneer-id": pioneer.id,
+        },
+        [label]
+      )
+    );
+  }
+
+  children.push(
+    createElement("div", { className: "pioneer-card__actions" }, [
+      createFavoriteButton(pioneer),
+      createCompareButton(pioneer),
+    ]),
+    createAvatar(pioneer, variant, deferImages),
+    createElement("div", { className: "pioneer-card__content" }, [
+      createElement("h3", { className: "pioneer-card__title" }, [pioneer.name]),
+      createElement("p", { className: "pioneer-card__description" }, [
+        pioneer.summary,
+      ]),
+    ])
+  );
+
+  return createElement(
+    "article",
+    {
+      className: [
+        "pioneer-card",
+        `pioneer-card--${variant}`,
+        isInteractive ? "pioneer-card--interactive" : "",
+      ]
+        .filter(Boolean)
+        .join(" "),
+    },
+    children
+  );
+}
+
+/**
+ * Create a carousel slide wrapping a pioneer card
+ * By default the avatar is deferred; Carousel loads it once the slide is
+ * near view.
+ * @param {Object} pioneer - Pioneer record
+ * @param {string} variant - Card variant (see CARD_VARIANTS)
+ * @param {Object} options - Slide options
+ * @param {boolean} options.deferImages - Defer the avatar
+ * @returns {HTMLElement} Slide element
+ */
+export function createPioneerSlide(
+  pioneer,
+  variant,
+  { deferImages = true } = {}
+) {
+  return createElement("div", { className: "carousel__slide" }, [
+    createElement("div", { className: "carousel__slide-content" }, [
+      createPioneerCard(pioneer, variant, { deferImages }),
+    ]),
+  ]);
+}
+
+/**
+ * Replace the slides of a carousel track with pioneer cards
+ * @param {HTMLElement} track - Carousel track (.carousel__track)
+ * @param {Object[]} pioneers - Pioneer records in display order
+ * @param {string} variant - Card variant (see CARD_VARIANTS)
+ * @param {Object} options - Render options
+ * @param {number} options.eagerCount - Leading slides whose avatars load
+ *   right away instead of being deferred
+ */
+export function renderPioneerSlides(
+  track,
+  pioneers,
+  variant,
+  { eagerCount = 0 } = {}
+) {
+  track.replaceChildren(
+    ...pioneers.map((pioneer, index) =>
+      createPioneerSlide(pioneer, variant, { deferImages: index >= eagerCount })
+    )
+  );
+}
+
+/**
+ * Render pioneer slides into a carousel and initialize it
+ * @param {HTMLElement} element - Carousel container ([data-carousel])
+ * @param {Object[]} pioneers - Pioneer records in display order
+ * @param {string} variant - Card variant (see CARD_VARIANTS)
+ * @param {Object} carouselOptions - Options passed to Carousel
+ * @returns {Carousel|null} Carousel instance, or null without a track
+ */
+export function renderPioneerCarousel(
+  element,
+  pioneers,
+  variant,
+  carouselOptions = {}
+) {
+  const track = element.querySelector(".carousel__track");
+
+  if (!track) {
+    console.warn("Carousel track not found");
+    return null;
+  }
+
+  // Featured avatars in the first view are the page's LCP candidates
+  const eagerCount =
+    variant === CARD_VARIANTS.FEATURED
+      ? getSlidesToShow(element, carouselOptions)
+      : 0;
+
+  renderPioneerSlides(track, pioneers, variant, { eagerCount });
+
+  return new Carousel(element, carouselOptions);
+}
+
+export default renderPioneerCarousel;
@@ -0,0 +1,281 @@
+/**
+ * Pioneer Filters Module
+ *
+ * Filter and sort controls for a pioneer carousel:
+ * - Filter chips by field (from the "fields" data) and era (from "years")
+ * - Sort by dataset order, name or birth year
+ * - Rebuilds the carousel slides in place (no page reload)
+ * - Announces how many pioneers match
+ */
+
+import { createElement } from "../utils/dom.js";
+import { ERAS, getBirthYear, getEra } from "../utils/pioneer-data.js";
+import { compareText, hasMessage, t } from "../utils/i18n.js";
+import { renderPioneerSlides } from "./pioneer-cards.js";
+
+// Available sort orders (labels: filters.sort.<id>)
+const SORT_OPTIONS = ["default", "name", "birth-asc", "birth-desc"];
+
+class PioneerFilters {
+  /**
+   * Initialize the PioneerFilters component
+   * @param {HTMLElement} element - Container for the controls
+   * @param {Object} options - Configuration options
+   * @param {Object[]} options.pioneers - Pioneers shown in the carousel
+   * @param {Carousel} options.carousel - Carousel to rebuild
+   * @param {string} options.variant - Card variant for rendered slides
+   */
+  constructor(element, { pioneers = [], carousel = null, variant } = {}) {
+    this.container = element;
+    this.pioneers = pioneers;
+    this.carousel = carousel;
+    this.variant = variant;
+    this.idPrefix = element?.id || "pioneer-filters";
+
+    // Current selection (null = all)
+    this.state = {
+      field: null,
+      era: null,
+      sort: "default",
+    };
+
+    this.sortSelect = null;
+    this.status = null;
+  }
+
+  /**
+   * Initialize filters
+   */
+  init() {
+    if (!this.container || !this.carousel) {
+      console.warn("Pioneer filters container or carousel not found");
+      return;
+    }
+
+    this.render();
+
+    // Filter chips (delegated)
+    this.container.addEventListener("click", (e) => {
+      const chip = e.target.closest(".pioneer-filters__chip");
+      if (chip) {
+        this.setFilter(chip.dataset.filter, chip.dataset.value || null);
+      }
+    });
+
+    // Sort select
+    this.sortSelect.addEventListener("change", () => {
+      this.state.sort = this.sortSelect.value;
+      this.apply();
+    });
+
+    this.updateStatus(this.pioneers.length);
+  }
+
+  /**
+   * Format a field id for display ('information-theory' → 'Information Theory')
+   * Uses the catalog label (field.<id>) when there is one.
+   * @param {string} field - Field id
+   * @returns {string} Display label
+   */
+  formatField(field) {
+    if (hasMessage(`field.${field}`)) {
+      return t(`field.${field}`);
+    }
+
+    return field
+      .split("-")
+      .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+      .join(" ");
+  }
+
+  /**
+   * Get the field filter options present in the data
+   * @returns {{value: string, label: string}[]} Options sorted by label
+   */
+  getFieldOptions() {
+    const fields = new Set(this.pioneers.flatMap((pioneer) => pioneer.fields));
+
+    return Array.from(fields)
+      .filter(Boolean)
+      .map((field) => ({ value: field, label: this.formatField(field) }))
+      .sort((a, b) => compareText(a.label, b.label));
+  }
+
+  /**
+   * Get the era filter options present in the data
+   * @returns {{value: string, label: string}[]} Options, oldest first
+   */
+  getEraOptions() {
+    const eraIds = new Set(this.pioneers.map((pioneer) => getEra(pioneer)?.id));
+
+    return ERAS.filter((era) => eraIds.has(era.id)).map((era) => ({
+      value: era.id,
+      label: t(`era.${era.id}`),
+    }));
+  }
+
+  /**
+   * Create a chip group
+   * @param {string} filter - State key ('field' or 'era')
+   * @param {string} label - Group label
+   * @param {{value: string, label: string}[]} options - Chip options
+   * @returns {HTMLElement} Group element
+   */
+  createChipGroup(filter, label, options) {
+    const labelId = `${this.idPrefix}-${filter}-label`;
+    const chips = [{ value: "", label: t("filters.all") }, ...options].map(
+      (option) =>
+        createElement(
+          "button",
+          {
+            className: "pioneer-filters__chip",
+            type: "button",
+            "aria-pressed": String(option.value === ""),
+            "data-filter": filter,
+            "data-value": option.value,
+          },
+          [option.label]
+        )
+    );
+
+    return createElement(
+      "div",
+      {
+        className: "pioneer-filters__group",
+        role: "group",
+        "aria-labelledby": labelId,
+      },
+      [
+        createElement(
+          "span",
+          { id: labelId, className: "pioneer-filters__label" },
+          [label]
+        ),
+        createElement("div", { className: "pioneer-filters__chips" }, chips),
+      ]
+    );
+  }
+
+  /**
+   * Render the filter controls
+   */
+  render() {
+    const sortId = `${this.idPrefix}-sort`;
+
+    this.sortSelect = createElement(
+      "select",
+      { id: sortId, className: "pioneer-filters__select" },
+      SORT_OPTIONS.map((id) =>
+        createElement("option", { value: id }, [t(`filters.sort.${id}`)])
+      )
+    );
+
+    this.status = createElement("p", {
+      className: "pioneer-filters__status",
+      role: "status",
+      "aria-live": "polite",
+    });
+
+    this.container.replaceChildren(
+      this.createChipGroup("field", t("filters.field"), this.getFieldOptions()),
+      this.createChipGroup("era", t("filters.era"), this.getEraOptions()),
+      createElement("div", { className: "pioneer-filters__sort" }, [
+        createElement(
+          "label",
+          { for: sortId, className: "pioneer-filters__label" },
+          [t("filters.sortBy")]
+        ),
+        this.sortSelect,
+      ]),
+      this.status
+    );
+  }
+
+  /**
+   * Set a filter value and rebuild the carousel
+   * @param {string} filter - State key ('field' or 'era')
+   * @param {string|null} value - Selected value (null = all)
+   */
+  setFilter(filter, value) {
+    if (!(filter in this.state) || this.state[filter] === value) {
+      return;
+    }
+
+    this.state[filter] = value;
+    this.apply();
+  }
+
+  /**
+   * Get pioneers matching the current filters, in the current sort order
+   * @returns {Object[]} Visible pioneers
+   */
+  getVisiblePioneers() {
+    const { field, era, sort } = this.state;
+
+    const visible = this.pioneers.filter(
+      (pioneer) =>
+        (!field || (pioneer.fields || []).includes(field)) &&
+        (!era || getEra(pioneer)?.id === era)
+    );
+
+    // Unknown birth years sort last
+    const byBirthYear = (pioneer) => getBirthYear(pioneer) ?? Infinity;
+
+    switch (sort) {
+      case "name":
+        return visible.sort((a, b) => compareText(a.name, b.name));
+      case "birth-asc":
+        return visible.sort((a, b) => byBirthYear(a) - byBirthYear(b));
+      case "birth-desc":
+        return visible.sort(
+          (a, b) =>
+            (getBirthYear(b) ?? -Infinity) - (getBirthYear(a) ?? -Infinity)
+        );
+      default:
+        return visible;
+    }
+  }
+
+  /**
+   * Rebuild the carousel slides from the current state
+   */
+  apply() {
+    const visible = this.getVisiblePioneers();
+
+    renderPioneerSlides(this.carousel.track, visible, this.variant);
+
+    // Start from the first slide of the new set
+    this.carousel.refresh();
+    this.carousel.goToSlide(0, false);
+
+    this.updateChips();
+    this.updateStatus(visible.length);
+  }
+
+  /**
+   * Sync chip pressed state with the current filters
+   */
+  updateChips() {
+    this.container
+      .querySelectorAll(".pioneer-filters__chip")
+      .forEach((chip) => {
+        const selected = this.state[chip.dataset.filter];
+        const isPressed = (chip.dataset.value || null) === selected;
+        chip.setAttribute("aria-pressed", String(isPressed));
+      });
+  }
+
+  /**
+   * Update the visible/announced result count
+   * @param {number} count - Number of matching pioneers
+   */
+  updateStatus(count) {
+    const total = this.pioneers.length;
+
+    this.status.textContent =
+      count === 0 ? t("filters.empty") : t("filters.status", { count, total });
+  }
+}
+
+// Export the PioneerFilters class
+export default PioneerFilters;
@@ -0,0 +1,370 @@
+/**
+ * Pioneer Profile Module
+ *
+ * Builds the profile shown in the pioneer modal:
+ * - Biography and key achievements (always present)
+ * - Optional sections, each rendered only when the record has it:
+ *   timeline, quotes, publications, awards, related pioneers, related
+ *   resources (from resources.json), sources
+ * - Numbered citation markers linking claims to the sources list
+ * - Text from the data goes through utils/rich-text.js (no innerHTML)
+ * - Headings and labels from the i18n catalogs; years and dates are
+ *   formatted for the current locale
+ */
+
+import { createElement } from "../utils/dom.js";
+import { hasProfile } from "../utils/pioneer-data.js";
+import {
+  formatDate,
+  formatNumber,
+  formatYear,
+  t,
+  tNodes,
+} from "../utils/i18n.js";
+import { renderRichParagraphs, renderRichText } from "../utils/rich-text.js";
+
+/**
+ * Create a section heading
+ * @param {string} title - Heading text
+ * @returns {HTMLElement} <h3> element
+ */
+function createSectionTitle(title) {
+  return createElement("h3", { className: "modal__section-title" }, [title]);
+}
+
+/**
+ * Create citation markers ([1], [2]) for an entry
+ * @param {string[]} cite - Source ids cited by the entry
+ * @param {Object} context - Render context
+ * @returns {HTMLElement[]} <sup> elements (empty without citations)
+ */
+function createCitations(cite = [], { sources, idPrefix }) {
+  return cite.map((sourceId) => {
+    const index = sources.findIndex((source) => source.id === sourceId);
+    const source = sources[index];
+
+    return createElement("sup", { className: "modal__cite" }, [
+      createElement(
+        "a",
+        {
+          className: "modal__cite-link",
+          href: `#${idPrefix}-source-${sourceId}`,
+          "aria-label": t("profile.source", {
+            index: index + 1,
+            title: source.title,
+          }),
+        },
+        [`[${formatNumber(index + 1)}]`]
+      ),
+    ]);
+  });
+}
+
+/**
+ * Create a simple list section
+ * @param {string} title - Section heading
+ * @param {Array<Array<Node|string>>} items - Content of each list item
+ * @returns {HTMLElement[]} Heading and list
+ */
+function createListSection(title, items) {
+  return [
+    createSectionTitle(title),
+    createElement(
+      "ul",
+      { className: "modal__list" },
+      items.map((children) =>
+        createElement("li", { className: "modal__list-item" }, children)
+      )
+    ),
+  ];
+}
+
+/**
+ * Create the personal timeline section
+ * @param {Object[]} timeline - Dated events
+ * @param {Object} context - Render context
+ * @returns {HTMLElement[]} Heading and ordered list
+ */
+function createTimelineSection(timeline, context) {
+  return [
+    createSectionTitle(t("profile.timeline")),
+    createElement(
+      "ol",
+      { className: "modal__timeline" },
+      timeline.map((entry) =>
+        createElement("li", { className: "modal__timeline-item" }, [
+          createElement(
+            "time",
+            { className: "modal__timeline-year", datetime: String(entry.year) },
+            [formatYear(entry.year)]
+          ),
+          createElement("span", { className: "modal__timeline-event" }, [
+            renderRichText(entry.event),
+            ...createCitations(entry.cite, context),
+          ]),
+        ])
+      )
+    ),
+  ];
+}
+
+/**
+ * Create the quotes section
+ * @param {Object[]} quotes - Quotes with optional attribution
+ * @param {Object} context - Render context
+ * @returns {HTMLElement[]} Heading and quote figures
+ */
+function createQuotesSection(quotes, context) {
+  return [
+    createSectionTitle(t("profile.quotes")),
+    ...quotes.map((quote) => {
+      const caption = [];
+      const children = [
+        createElement("blockquote", { className: "modal__quote-text" }, [
+          createElement("p", {}, [renderRichText(quote.text)]),
+        ]),
+      ];
+
+      if (quote.source) {
+        caption.push(`— ${quote.source}`);
+      }
+      caption.push(...createCitations(quote.cite, context));
+
+      if (caption.length > 0) {
+        children.push(
+          createElement(
+            "figcaption",
+            { className: "modal__quote-source" },
+            caption
+          )
+        );
+      }
+
+      return createElement("figure", { className: "modal__quote" }, children);
+    }),
+  ];
+}
+
+/**
+ * Create the publications section
+ * @param {Object[]} publications - Key publications
+ * @param {Object} context - Render context
+ * @returns {HTMLElement[]} Heading and list
+ */
+function createPublicationsSection(publications, context) {
+  return createListSection(
+    t("profile.publications"),
+    publications.map((publication) => {
+      let title = createElement("cite", {}, [publication.title]);
+
+      if (publication.url) {
+        title = createElement(
+          "a",
+          {
+            href: publication.url,
+            target: "_blank",
+            rel: "noopener noreferrer",
+          },
+          [title]
+        );
+      }
+
+      return [
+        title,
+        publication.year ? ` (${formatYear(publication.year)})` : "",
+        ...createCitations(publication.cite, context),
+      ];
+    })
+  );
+}
+
+/**
+ * Create the awards section
+ * @param {Object[]} awards - Awards with years
+ * @param {Object} context - Render context
+ * @returns {HTMLElement[]} Heading and list
+ */
+function createAwardsSection(awards, context) {
+  return createListSection(
+    t("profile.awards"),
+    awards.map((award) => [
+      `${award.name} (${formatYear(award.year)})`,
+      ...createCitations(award.cite, context),
+    ])
+  );
+}
+
+/**
+ * Create the related pioneers section
+ * Pioneers with a profile become buttons (data-related-id) the modal
+ * handles; the rest are listed by name.
+ * @param {string[]} related - Related pioneer ids
+ * @param {Object} context - Render context
+ * @returns {HTMLElement[]} Heading and list
+ */
+function createRelatedSection(related, { pioneersById }) {
+  const pioneers = related.map((id) => pioneersById[id]).filter(Boolean);
+
+  if (pioneers.length === 0) {
+    return [];
+  }
+
+  return [
+    createSectionTitle(t("profile.related")),
+    createElement(
+      "ul",
+      { className: "modal__related" },
+      pioneers.map((pioneer) => {
+        let label = createElement(
+          "span",
+          { className: "modal__related-name" },
+          [pioneer.name]
+        );
+
+        if (hasProfile(pioneer)) {
+          label = createElement(
+            "button",
+            {
+              className: "modal__related-button",
+              type: "button",
+              "data-related-id": pioneer.id,
+            },
+            [pioneer.name]
+          );
+        }
+
+        return createElement("li", { className: "modal__related-item" }, [
+          label,
+        ]);
+      })
+    ),
+  ];
+}
+
+/**
+ * Create the related resources section
+ * @param {Object[]} resources - Resources listing this pioneer
+ * @returns {HTMLElement[]} Heading and list
+ */
+function createResourcesSection(resources) {
+  return createListSection(
+    t("profile.furtherReading"),
+    resources.map((resource) => [
+      createElement(
+        "a",
+        {
+          href: resource.url,
+          target: "_blank",
+          rel: "noopener noreferrer",
+        },
+        [resource.title]
+      ),
+      ` — ${resource.source}`,
+    ])
+  );
+}
+
+/**
+ * Create the sources section
+ * @param {Object[]} sources - Cited sources
+ * @param {Object} context - Render context
+ * @returns {HTMLElement[]} Heading and ordered list
+ */
+function createSourcesSection(sources, { idPrefix }) {
+  return [
+    createSectionTitle(t("profile.sources")),
+    createElement(
+      "ol",
+      { className: "modal__sources" },
+      sources.map((source) => {
+        const details = [];
+
+        if (source.publisher) {
+          details.push(`, ${source.publisher}`);
+        }
+        if (source.accessed) {
+          details.push(
+            ". ",
+            ...tNodes("profile.accessed", {
+              date: createElement("time", { datetime: source.accessed }, [
+                formatDate(source.accessed),
+              ]),
+            })
+          );
+        }
+
+        return createElement(
+          "li",
+          {
+            className: "modal__source",
+            id: `${idPrefix}-source-${source.id}`,
+            tabindex: "-1",
+          },
+          [
+            createElement(
+              "a",
+              {
+                href: source.url,
+                target: "_blank",
+                rel: "noopener noreferrer",
+              },
+              [source.title]
+            ),
+            ...details,
+          ]
+        );
+      })
+    ),
+  ];
+}
+
+/**
+ * Render a pioneer's full profile
+ * @param {Object} pioneer - Pioneer record with a profile (bio)
+ * @param {Object} options - Render options
+ * @param {Object} options.pioneersById - All pioneers keyed by id (for
+ *   related pioneer names)
+ * @param {Object[]} options.resources - Resources related to the pioneer
+ * @param {string} options.idPrefix - Prefix for source element ids
+ * @returns {HTMLElement[]} Profile content, in display order
+ */
+export function renderPioneerProfile(
+  pioneer,
+  { pioneersById = {}, resources = [], idPrefix = "profile" } = {}
+) {
+  const context = { sources: pioneer.sources || [], pioneersById, idPrefix };
+  const nodes = [
+    createSectionTitle(t("profile.biography")),
+    ...renderRichParagraphs(pioneer.bio, { className: "modal__text" }),
+    ...createListSection(
+      t("profile.achievements"),
+      pioneer.achievements.map((achievement) => [renderRichText(achievement)])
+    ),
+  ];
+
+  if (pioneer.timeline) {
+    nodes.push(...createTimelineSection(pioneer.timeline, context));
+  }
+  if (pioneer.quotes) {
+    nodes.push(...createQuotesSection(pioneer.quotes, context));
+  }
+  if (pioneer.publications) {
+    nodes.push(...createPublicationsSection(pioneer.publications, context));
+  }
+  if (pioneer.awards) {
+    nodes.push(...createAwardsSection(pioneer.awards, context));
+  }
+  if (pioneer.related) {
+    nodes.push(...createRelatedSection(pioneer.related, context));
+  }
+  if (resources.length > 0) {
+    nodes.push(...createResourcesSection(resources));
+  }
+  if (pioneer.sources) {
+    nodes.push(...createSourcesSection(pioneer.sources, context));
+  }
+
+  return nodes;
+}
+
+export default renderPioneerProfile;
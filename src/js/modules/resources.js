@@ -0,0 +1,441 @@
+/**
+ * Resources Module
+ *
+ * Resources section rendered from src/data/resources.json:
+ * - One group per category, each resource an outbound link
+ *   (new tab, rel="noopener noreferrer") with its type and source
+ * - Related pioneers (#/pioneer/<id>, opened in the modal by the router)
+ *   and topic tags on each entry
+ * - Filter chips by category and type (filtered-out entries get the
+ *   hidden attribute)
+ * - Reveals filtered-out resources picked from the header search
+ */
+
+import { createElement } from "../utils/dom.js";
+import { hasProfile } from "../utils/pioneer-data.js";
+import { renderRichText } from "../utils/rich-text.js";
+import { t, tNodes, translateLabel } from "../utils/i18n.js";
+
+/**
+ * Turn a kebab-case tag into readable text
+ * @param {string} tag - Tag id (e.g. 'information-theory')
+ * @returns {string} Label (e.g. 'information theory')
+ */
+function formatTag(tag) {
+  return tag.replace(/-/g, " ");
+}
+
+class Resources {
+  /**
+   * Initialize the Resources component
+   * @param {HTMLElement} element - Resources section
+   * @param {Object} options - Configuration options
+   * @param {Object[]} options.categories - Resource categories (groups)
+   * @param {Object[]} options.types - Resource types
+   * @param {Object[]} options.resources - Resources in display order
+   * @param {Object} options.pioneers - Pioneer records keyed by id
+   */
+  constructor(
+    element,
+    { categories = [], types = [], resources = [], pioneers = {} } = {}
+  ) {
+    this.section = element;
+    this.groupsContainer = element?.querySelector(".resources__groups");
+    this.filtersContainer = element?.querySelector("[data-resource-filters]");
+    this.categories = categories;
+    this.types = types;
+    this.resources = resources;
+    this.pioneers = pioneers;
+    this.idPrefix = element?.id || "resources";
+
+    // Current selection (null = all)
+    this.state = {
+      category: null,
+      type: null,
+    };
+
+    // Rendered list items by resource id, groups by category id
+    this.items = new Map();
+    this.groups = new Map();
+    this.status = null;
+    this.emptyMessage = null;
+  }
+
+  /**
+   * Initialize resources
+   */
+  init() {
+    if (!this.groupsContainer) {
+      console.warn("Resources groups container not found");
+      return;
+    }
+
+    this.renderGroups();
+
+    if (this.filtersContainer) {
+      this.renderFilters();
+
+      // Filter chips (delegated)
+      this.filtersContainer.addEventListener("click", (e) => {
+        const chip = e.target.closest(".resources__chip");
+        if (chip) {
+          this.setFilter(chip.dataset.filter, chip.dataset.value || null);
+        }
+      });
+    }
+
+    // Search result inside a filtered-out resource: clear the filters
+    this.groupsContainer.addEventListener("search:reveal", (e) => {
+      if (e.target.hidden || e.target.closest(".resources__group")?.hidden) {
+        this.resetFilters();
+      }
+    });
+
+    this.apply();
+  }
+
+  /**
+   * Get a resource type by id
+   * @param {string} id - Type id
+   * @returns {Object|undefined} Type
+   */
+  getType(id) {
+    return this.types.find((type) => type.id === id);
+  }
+
+  /**
+   * Get the display label of a category or type
+   * @param {string} kind - 'categories' or 'types'
+   * @param {Object} entry - Category or type
+   * @returns {string} Catalog label (resources.<kind>.<id>) or the label
+   *   from the data
+   */
+  getLabel(kind, entry) {
+    return translateLabel(`resources.${kind}.${entry.id}`, entry.label);
+  }
+
+  /**
+   * Create the related pioneer links of a resource
+   * Pioneers with a profile link to their deep link; others are listed by
+   * name.
+   * @param {Object} resource - Resource
+   * @returns {HTMLElement|null} Paragraph, or null without known pioneers
+   */
+  createPioneerLinks(resource) {
+    const pioneers = resource.pioneers
+      .map((id) => this.pioneers[id])
+      .filter(Boolean);
+
+    if (pioneers.length === 0) {
+      return null;
+    }
+
+    const links = pioneers.flatMap((pioneer, index) => {
+      let link = createElement("span", { className: "resources__pioneer" }, [
+        pioneer.name,
+      ]);
+
+      if (hasProfile(pioneer)) {
+        link = createElement(
+          "a",
+          {
+            className: "resources__pioneer resources__pioneer--link",
+            href: `#/pioneer/${pioneer.id}`,
+          },
+          [pioneer.name]
+        );
+      }
+
+      return index === 0 ? [link] : [", ", link];
+    });
+
+    return createElement(
+      "p",
+      { className: "resources__item-pioneers" },
+      tNodes("resources.pioneers", { pioneers: links })
+    );
+  }
+
+  /**
+   * Create the list item for a resource
+   * @param {Object} resource - Resource
+   * @returns {HTMLElement} Resource item
+   */
+  createItem(resource) {
+    const type = this.getType(resource.type);
+    const content = [
+      createElement("h4", { className: "resources__item-title" }, [
+        createElement(
+          "a",
+          {
+            className: "resources__link",
+            href: resource.url,
+            target: "_blank",
+            rel: "noopener noreferrer",
+          },
+          [resource.title]
+        ),
+      ]),
+      createElement("p", { className: "resources__item-meta" }, [
+        `${this.getLabel("types", type)} · ${resource.source}`,
+      ]),
+      createElement("p", { className: "resources__item-description" }, [
+        renderRichText(resource.description),
+      ]),
+    ];
+    const pioneerLinks = this.createPioneerLinks(resource);
+
+    if (pioneerLinks) {
+      content.push(pioneerLinks);
+    }
+
+    if (resource.tags.length > 0) {
+      content.push(
+        createElement(
+          "ul",
+          { className: "resources__tags", "aria-label": t("resources.topics") },
+          resource.tags.map((tag) =>
+            createElement("li", { className: "resources__tag" }, [
+              formatTag(tag),
+            ])
+          )
+        )
+      );
+    }
+
+    return createElement(
+      "li",
+      {
+        className: "resources__item",
+        id: `${this.idPrefix}-item-${resource.id}`,
+        "data-category": resource.category,
+        "data-type": resource.type,
+      },
+      [
+        createElement("span", {
+          className: `resources__icon resources__icon--${type.icon}`,
+          "aria-hidden": "true",
+        }),
+        createElement("div", { className: "resources__content" }, content),
+      ]
+    );
+  }
+
+  /**
+   * Render one group per category that has resources
+   */
+  renderGroups() {
+    this.items.clear();
+    this.groups.clear();
+
+    this.categories.forEach((category) => {
+      const resources = this.resources.filter(
+        (resource) => resource.category === category.id
+      );
+
+      if (resources.length === 0) {
+        return;
+      }
+
+      const labelId = `${this.idPrefix}-group-${category.id}`;
+      const items = resources.map((resource) => {
+        const item = this.createItem(resource);
+        this.items.set(resource.id, item);
+        return item;
+      });
+
+      this.groups.set(
+        category.id,
+        createElement(
+          "section",
+          {
+            className: "resources__group",
+            "aria-labelledby": labelId,
+            "data-category": category.id,
+          },
+          [
+            createElement(
+              "h3",
+              { id: labelId, className: "resources__group-label" },
+              [this.getLabel("categories", category)]
+            ),
+            createElement("ul", { className: "resources__list" }, items),
+          ]
+        )
+      );
+    });
+
+    this.emptyMessage = createElement(
+      "p",
+      { className: "resources__empty", hidden: true },
+      [t("resources.empty")]
+    );
+
+    this.groupsContainer.replaceChildren(
+      ...this.groups.values(),
+      this.emptyMessage
+    );
+  }
+
+  /**
+   * Create a chip group
+   * @param {string} filter - State key ('category' or 'type')
+   * @param {string} label - Group label
+   * @param {{value: string, label: string}[]} options - Chip options
+   * @returns {HTMLElement} Group element
+   */
+  createChipGroup(filter, label, options) {
+    const labelId = `${this.idPrefix}-${filter}-label`;
+    const chips = [{ value: "", label: t("filters.all") }, ...options].map(
+      (option) =>
+        createElement(
+          "button",
+          {
+            className: "resources__chip",
+            type: "button",
+            "aria-pressed": String(option.value === ""),
+            "data-filter": filter,
+            "data-value": option.value,
+          },
+          [option.label]
+        )
+    );
+
+    return createElement(
+      "div",
+      {
+        className: "resources__filter-group",
+        role: "group",
+        "aria-labelledby": labelId,
+      },
+      [
+        createElement(
+          "span",
+          { id: labelId, className: "resources__filter-label" },
+          [label]
+        ),
+        createElement("div", { className: "resources__chips" }, chips),
+      ]
+    );
+  }
+
+  /**
+   * Render the filter controls
+   * Only categories and types that have resources get a chip.
+   */
+  renderFilters() {
+    const usedTypes = new Set(this.resources.map((resource) => resource.type));
+
+    this.status = createElement("p", {
+      className: "resources__status",
+      role: "status",
+      "aria-live": "polite",
+    });
+
+    this.filtersContainer.replaceChildren(
+      this.createChipGroup(
+        "category",
+        t("resources.filter.category"),
+        this.categories
+          .filter((category) => this.groups.has(category.id))
+          .map((category) => ({
+            value: category.id,
+            label: this.getLabel("categories", category),
+          }))
+      ),
+      this.createChipGroup(
+        "type",
+        t("resources.filter.type"),
+        this.types
+          .filter((type) => usedTypes.has(type.id))
+          .map((type) => ({
+            value: type.id,
+            label: this.getLabel("types", type),
+          }))
+      ),
+      this.status
+    );
+  }
+
+  /**
+   * Set a filter value and update the visible resources
+   * @param {string} filter - State key ('category' or 'type')
+   * @param {string|null} value - Selected value (null = all)
+   */
+  setFilter(filter, value) {
+    if (!(filter in this.state) || this.state[filter] === value) {
+      return;
+    }
+
+    this.state[filter] = value;
+    this.apply();
+  }
+
+  /**
+   * Show every resource again
+   */
+  resetFilters() {
+    this.state.category = null;
+    this.state.type = null;
+    this.apply();
+  }
+
+  /**
+   * Show the resources matching the current filters
+   * Groups left without visible resources are hidden too.
+   */
+  apply() {
+    const { category, type } = this.state;
+    let count = 0;
+
+    this.items.forEach((item) => {
+      const matches =
+        (!category || item.dataset.category === category) &&
+        (!type || item.dataset.type === type);
+
+      item.hidden = !matches;
+      if (matches) {
+        count += 1;
+      }
+    });
+
+    this.groups.forEach((group) => {
+      group.hidden = !group.querySelector(".resources__item:not([hidden])");
+    });
+
+    this.emptyMessage.hidden = count > 0;
+    this.updateChips();
+    this.updateStatus(count);
+  }
+
+  /**
+   * Sync chip pressed state with the current filters
+   */
+  updateChips() {
+    this.filtersContainer
+      ?.querySelectorAll(".resources__chip")
+      .forEach((chip) => {
+        const selected = this.state[chip.dataset.filter];
+        const isPressed = (chip.dataset.value || null) === selected;
+        chip.setAttribute("aria-pressed", String(isPressed));
+      });
+  }
+
+  /**
+   * Update the announced result count
+   * @param {number} count - Number of visible resources
+   */
+  updateStatus(count) {
+    if (!this.status) {
+      return;
+    }
+
+    this.status.textContent =
+      count === this.resources.length
+        ? t("resources.statusAll", { count })
+        : t("resources.status", { count, total: this.resources.length });
+  }
+}
+
+// Export the Resources class
+export default Resources;
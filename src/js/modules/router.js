@@ -0,0 +1,201 @@
+/**
+ * Router Module
+ *
+ * Minimal client-side router for deep links:
+ * - Hash routes (#/pioneer/radia-perlman)
+ * - Path routes (/pioneer/radia-perlman) via the nginx SPA fallback
+ * - History updates on navigate/exit
+ * - Back/forward support through popstate
+ * - Coexists with plain section hashes (#featured, #timeline, ...)
+ */
+
+class Router {
+  /**
+   * Initialize the Router component
+   */
+  constructor() {
+    this.routes = [];
+    this.activeRoute = null;
+    this.activePath = null;
+    this.initialized = false;
+
+    // True while handleRoute runs route handlers (see exit)
+    this.changing = false;
+  }
+
+  /**
+   * Register a route
+   * @param {string} name - Route name
+   * @param {RegExp} pattern - Pattern matched against the route path
+   * @param {Object} handlers - Route handlers
+   * @param {Function} handlers.enter - Called with the regex captures
+   * @param {Function} [handlers.leave] - Called when the route is left
+   */
+  addRoute(name, pattern, { enter, leave = () => {} }) {
+    this.routes.push({ name, pattern, enter, leave });
+  }
+
+  /**
+   * Start listening to history changes and resolve the initial URL
+   */
+  init() {
+    if (this.initialized) {
+      console.warn("Router already initialized");
+      return;
+    }
+
+    window.addEventListener("popstate", () => this.handleRoute());
+    window.addEventListener("hashchange", () => this.handleRoute());
+
+    // Mark the entry the page loaded with, so a deep link is told apart
+    // from entries added later by plain #/... links (see handleRoute)
+    if (!window.history.state) {
+      window.history.replaceState({ router: false }, "");
+    }
+
+    this.initialized = true;
+    this.handleRoute();
+  }
+
+  /**
+   * Get the route path from the current URL
+   * Hash routes (#/...) take precedence over the pathname.
+   * @returns {string} Route path
+   */
+  getPath() {
+    const { hash, pathname } = window.location;
+    return this.isRouteHash(hash) ? hash.substring(1) : pathname;
+  }
+
+  /**
+   * Check whether a hash is a route (as opposed to a section anchor)
+   * @param {string} hash - Hash including the leading '#'
+   * @returns {boolean} True for hashes like '#/pioneer/...'
+   */
+  isRouteHash(hash) {
+    return typeof hash === "string" && hash.startsWith("#/");
+  }
+
+  /**
+   * Find the route matching a path
+   * @param {string} path - Route path
+   * @returns {{route: Object, params: string[]}|null} Match or null
+   */
+  match(path) {
+    for (const route of this.routes) {
+      const result = route.pattern.exec(path);
+      if (result) {
+        return { route, params: result.slice(1).map(decodeURIComponent) };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Resolve the current URL and enter/leave routes accordingly
+   */
+  handleRoute() {
+    const path = this.getPath();
+
+    if (path === this.activePath) {
+      return;
+    }
+
+    const matched = this.match(path);
+    const previousRoute = this.activeRoute;
+
+    this.activeRoute = matched ? matched.route : null;
+    this.activePath = matched ? path : null;
+
+    // Entries added by plain #/... links (timeline, chart, resources) stay
+    // on the site, so exit() can go back from them
+    if (matched && !window.history.state) {
+      window.history.replaceState({ router: true }, "", window.location.href);
+    }
+
+    // Handlers may close UI that calls exit(); the URL already changed
+    let rejected = false;
+    this.changing = true;
+    try {
+      if (previousRoute && previousRoute !== this.activeRoute) {
+        previousRoute.leave();
+      }
+
+      rejected = matched && matched.route.enter(...matched.params) === false;
+    } finally {
+      this.changing = false;
+    }
+
+    if (rejected) {
+      // Route rejected its params (e.g. unknown id) - drop it from the URL
+      this.clear();
+    }
+  }
+
+  /**
+   * Navigate to a route path
+   * @param {string} path - Route path (e.g. '/pioneer/vint-cerf')
+   * @param {Object} options - Navigation options
+   * @param {boolean} options.replace - Replace the history entry
+   */
+  navigate(path, { replace = false } = {}) {
+    if (path === this.getPath()) {
+      return;
+    }
+
+    const url = `${this.getBaseUrl()}#${path}`;
+
+    if (replace) {
+      window.history.replaceState(window.history.state, "", url);
+    } else {
+      window.history.pushState({ router: true }, "", url);
+    }
+
+    this.handleRoute();
+  }
+
+  /**
+   * Leave the active route
+   * Goes back if the route entry was added on the site (by navigate or a
+   * #/... link), otherwise replaces the URL so a deep link doesn't leave
+   * the site on close.
+   * Does nothing while a route change is in progress (a leave handler
+   * closing its dialog must not undo the navigation that closed it).
+   */
+  exit() {
+    if (!this.activeRoute || this.changing) {
+      return;
+    }
+
+    if (window.history.state && window.history.state.router) {
+      window.history.back();
+    } else {
+      this.clear();
+    }
+  }
+
+  /**
+   * Remove the route from the URL without adding a history entry
+   */
+  clear() {
+    const { hash } = window.location;
+    const sectionHash = this.isRouteHash(hash) ? "" : hash;
+
+    window.history.replaceState(null, "", `${this.getBaseUrl()}${sectionHash}`);
+    this.handleRoute();
+  }
+
+  /**
+   * Get the current URL without any route or hash
+   * Path routes fall back to the site root.
+   * @returns {string} Base URL
+   */
+  getBaseUrl() {
+    const { pathname, search } = window.location;
+    const base = this.match(pathname) ? "/" : pathname;
+    return `${base}${search}`;
+  }
+}
+
+// Export the Router class
+export default Router;
@@ -0,0 +1,435 @@
+/**
+ * Search Module
+ *
+ * Client-side search box in the header:
+ * - Indexes pioneer profiles, timeline events and resources
+ * - Ranked results (title matches outrank description matches)
+ * - Combobox/listbox keyboard navigation (arrows, Enter, Escape)
+ * - Opens pioneer profiles or scrolls to timeline/resource entries
+ * - search:reveal event on a picked entry, so filtered lists can show it
+ */
+
+import { createElement } from "../utils/dom.js";
+import { scrollToElement } from "../utils/scroll.js";
+import { hasProfile } from "../utils/pioneer-data.js";
+import { toPlainText } from "../utils/rich-text.js";
+import { compareText, t } from "../utils/i18n.js";
+
+// Ranking weight of a match in each indexed field
+const FIELD_WEIGHTS = {
+  title: 10,
+  subtitle: 5,
+  keywords: 3,
+  body: 1,
+};
+
+class Search {
+  /**
+   * Initialize the Search component
+   * @param {Object} options - Configuration options
+   * @param {Object} options.pioneers - Pioneer records keyed by id
+   * @param {Function} options.onSelectPioneer - Called with a pioneer id
+   */
+  constructor({ pioneers = {}, onSelectPioneer = () => {} } = {}) {
+    this.container = document.querySelector(".search");
+    this.input = document.getElementById("site-search");
+    this.resultsList = document.getElementById("search-results");
+    this.status = document.getElementById("search-status");
+
+    this.pioneers = pioneers;
+    this.onSelectPioneer = onSelectPioneer;
+
+    // Configuration options
+    this.options = {
+      maxResults: 8,
+      minQueryLength: 2,
+      inputDelay: 120,
+    };
+
+    // State (the index is built on the first search; indexed content is
+    // static after load, and a language change reloads the page)
+    this.index = null;
+    this.results = [];
+    this.activeIndex = -1;
+    this.inputTimeout = null;
+  }
+
+  /**
+   * Initialize search
+   */
+  init() {
+    if (!this.container || !this.input || !this.resultsList) {
+      console.warn("Search elements not found");
+      return;
+    }
+
+    // Search as the user types (debounced)
+    this.input.addEventListener("input", () => {
+      clearTimeout(this.inputTimeout);
+      this.inputTimeout = setTimeout(() => {
+        this.search(this.input.value);
+      }, this.options.inputDelay);
+    });
+
+    // Keyboard navigation
+    this.input.addEventListener("keydown", (e) => this.handleKeydown(e));
+
+    // Re-open previous results when the input regains focus
+    this.input.addEventListener("focus", () => {
+      if (this.results.length > 0) {
+        this.showResults();
+      }
+    });
+
+    // Keep focus in the input while clicking a result
+    this.resultsList.addEventListener("mousedown", (e) => e.preventDefault());
+
+    this.resultsList.addEventListener("click", (e) => {
+      const option = e.target.closest(".search__result");
+      if (option) {
+        this.select(Number(option.dataset.index));
+      }
+    });
+
+    // Close results when clicking outside
+    document.addEventListener("click", (e) => {
+      if (!this.container.contains(e.target)) {
+        this.hideResults();
+      }
+    });
+  }
+
+  /**
+   * Normalize text for matching (lowercase, no diacritics)
+   * @param {string} text - Text to normalize
+   * @returns {string} Normalized text
+   */
+  normalize(text) {
+    return (text || "")
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .toLowerCase()
+      .replace(/\s+/g, " ")
+      .trim();
+  }
+
+  /**
+   * Get the trimmed text of a descendant element
+   * @param {HTMLElement} element - Parent element
+   * @param {string} selector - Descendant selector
+   * @returns {string} Text content
+   */
+  getText(element, selector) {
+    const target = element.querySelector(selector);
+    return target ? target.textContent.replace(/\s+/g, " ").trim() : "";
+  }
+
+  /**
+   * Build the search index from pioneer data and the page content
+   */
+  buildIndex() {
+    const entries = [];
+
+    Object.values(this.pioneers).forEach((pioneer) => {
+      if (!hasProfile(pioneer)) {
+        return;
+      }
+
+      entries.push({
+        type: "pioneer",
+        id: pioneer.id,
+        title: pioneer.name,
+        subtitle: pioneer.role,
+        keywords: pioneer.achievements.map(toPlainText).join(" "),
+        body: toPlainText(pioneer.bio),
+      });
+    });
+
+    document.querySelectorAll(".timeline__item").forEach((item) => {
+      entries.push({
+        type: "timeline",
+        element: item,
+        title: this.getText(item, ".timeline__item-title"),
+        body: this.getText(item, ".timeline__item-description"),
+      });
+    });
+
+    document.querySelectorAll(".resources__item").forEach((item) => {
+      const group = item.closest(".resources__group");
+
+      entries.push({
+        type: "resource",
+        element: item,
+        title: this.getText(item, ".resources__item-title"),
+        subtitle: group ? this.getText(group, ".resources__group-label") : "",
+        body: this.getText(item, ".resources__item-description"),
+      });
+    });
+
+    this.index = entries.map((entry) => ({
+      ...entry,
+      normalized: Object.fromEntries(
+        Object.keys(FIELD_WEIGHTS).map((field) => [
+          field,
+          this.normalize(entry[field]),
+        ])
+      ),
+    }));
+  }
+
+  /**
+   * Score an index entry against the query terms
+   * Every term must match somewhere; matches at the start of a word count
+   * double.
+   * @param {Object} entry - Index entry
+   * @param {string[]} terms - Normalized query terms
+   * @returns {number} Score (0 when the entry doesn't match)
+   */
+  scoreEntry(entry, terms) {
+    let score = 0;
+
+    for (const term of terms) {
+      let termScore = 0;
+
+      Object.entries(FIELD_WEIGHTS).forEach(([field, weight]) => {
+        const text = entry.normalized[field];
+        const position = text.indexOf(term);
+
+        if (position === -1) {
+          return;
+        }
+
+        const atWordStart = position === 0 || /\W/.test(text[position - 1]);
+        termScore = Math.max(termScore, weight * (atWordStart ? 2 : 1));
+      });
+
+      if (termScore === 0) {
+        return 0;
+      }
+
+      score += termScore;
+    }
+
+    return score;
+  }
+
+  /**
+   * Run a search and render the results
+   * @param {string} query - Raw query text
+   */
+  search(query) {
+    const normalizedQuery = this.normalize(query);
+
+    if (normalizedQuery.length < this.options.minQueryLength) {
+      this.results = [];
+      this.resultsList.replaceChildren();
+      this.hideResults();
+      this.announce("");
+      return;
+    }
+
+    if (!this.index) {
+      this.buildIndex();
+    }
+
+    const terms = normalizedQuery.split(" ");
+
+    this.results = this.index
+      .map((entry) => ({ entry, score: this.scoreEntry(entry, terms) }))
+      .filter((result) => result.score > 0)
+      .sort(
+        (a, b) => b.score - a.score || compareText(a.entry.title, b.entry.title)
+      )
+      .slice(0, this.options.maxResults)
+      .map((result) => result.entry);
+
+    this.activeIndex = -1;
+    this.renderResults(query.trim());
+    this.showResults();
+  }
+
+  /**
+   * Render the results list
+   * @param {string} query - Query as typed (for the empty state)
+   */
+  renderResults(query) {
+    if (this.results.length === 0) {
+      this.resultsList.replaceChildren(
+        createElement("li", { className: "search__empty" }, [
+          t("search.noResults", { query }),
+        ])
+      );
+      this.announce(t("search.noResultsStatus", { query }));
+      return;
+    }
+
+    this.resultsList.replaceChildren(
+      ...this.results.map((entry, index) =>
+        createElement(
+          "li",
+          {
+            id: `search-result-${index}`,
+            className: "search__result",
+            role: "option",
+            "aria-selected": "false",
+            "data-index": index,
+          },
+          [
+            createElement(
+              "span",
+              {
+                className: `search__result-type search__result-type--${entry.type}`,
+              },
+              [t(`search.type.${entry.type}`)]
+            ),
+            createElement("span", { className: "search__result-title" }, [
+              entry.title,
+            ]),
+            createElement("span", { className: "search__result-excerpt" }, [
+              entry.subtitle || entry.body,
+            ]),
+          ]
+        )
+      )
+    );
+
+    const count = this.results.length;
+    this.announce(t("search.resultsStatus", { count }));
+  }
+
+  /**
+   * Handle keyboard navigation in the input
+   * @param {KeyboardEvent} e - Keydown event
+   */
+  handleKeydown(e) {
+    switch (e.key) {
+      case "ArrowDown":
+        e.preventDefault();
+        this.showResults();
+        this.setActive(this.activeIndex + 1);
+        break;
+      case "ArrowUp":
+        e.preventDefault();
+        this.showResults();
+        this.setActive(this.activeIndex - 1);
+        break;
+      case "Enter":
+        if (this.results.length > 0) {
+          e.preventDefault();
+          this.select(Math.max(this.activeIndex, 0));
+        }
+        break;
+      case "Escape":
+        if (this.isExpanded()) {
+          // Don't let other Escape handlers (menu, modal) react
+          e.stopPropagation();
+          this.hideResults();
+        } else {
+          this.input.value = "";
+          this.search("");
+        }
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Highlight a result (wraps around at both ends)
+   * @param {number} index - Result index
+   */
+  setActive(index) {
+    const options = this.resultsList.querySelectorAll(".search__result");
+
+    if (options.length === 0) {
+      return;
+    }
+
+    this.activeIndex = (index + options.length) % options.length;
+
+    options.forEach((option, optionIndex) => {
+      const isActive = optionIndex === this.activeIndex;
+      option.classList.toggle("search__result--active", isActive);
+      option.setAttribute("aria-selected", String(isActive));
+      if (isActive) {
+        option.scrollIntoView({ block: "nearest" });
+      }
+    });
+
+    this.input.setAttribute(
+      "aria-activedescendant",
+      `search-result-${this.activeIndex}`
+    );
+  }
+
+  /**
+   * Activate a result
+   * @param {number} index - Result index
+   */
+  select(index) {
+    const entry = this.results[index];
+
+    if (!entry) {
+      return;
+    }
+
+    this.hideResults();
+
+    if (entry.type === "pioneer") {
+      this.onSelectPioneer(entry.id);
+      return;
+    }
+
+    // Timeline and resource entries: let their owner show them if they
+    // are filtered out, then scroll there and move focus
+    entry.element.dispatchEvent(
+      new window.CustomEvent("search:reveal", { bubbles: true })
+    );
+    scrollToElement(entry.element);
+    entry.element.setAttribute("tabindex", "-1");
+    entry.element.focus({ preventScroll: true });
+  }
+
+  /**
+   * Check whether the results list is visible
+   * @returns {boolean} True if expanded
+   */
+  isExpanded() {
+    return this.input.getAttribute("aria-expanded") === "true";
+  }
+
+  /**
+   * Show the results list
+   */
+  showResults() {
+    if (this.resultsList.childElementCount === 0) {
+      return;
+    }
+
+    this.resultsList.hidden = false;
+    this.input.setAttribute("aria-expanded", "true");
+  }
+
+  /**
+   * Hide the results list
+   */
+  hideResults() {
+    this.resultsList.hidden = true;
+    this.input.setAttribute("aria-expanded", "false");
+    this.input.removeAttribute("aria-activedescendant");
+    this.activeIndex = -1;
+  }
+
+  /**
+   * Announce a message to screen readers
+   * @param {string} message - Message to announce
+   */
+  announce(message) {
+    if (this.status) {
+      this.status.textContent = message;
+    }
+  }
+}
+
+// Export the Search class
+export default Search;
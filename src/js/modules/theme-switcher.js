@@ -2,27 +2,33 @@
  * Theme Switcher Module
  *
  * Handles theme switching functionality:
- * - Toggle between light and dark themes
- * - Save user preference to localStorage
+ * - "system" mode follows the color scheme preference, or pick an
+ *   explicit theme from the registry (light, dark, high contrast, sepia)
+ * - Menu on the header button (radio items, arrow keys, Escape)
+ * - Save only explicit choices to localStorage ("system" clears it)
  * - Load saved preference on page load
- * - Respect system color scheme preference
+ * - Follow system color scheme changes while in "system" mode
+ * - Follow theme changes made in other tabs (storage events)
  * - Smooth theme transitions
  */
 
+import { createElement } from "../utils/dom.js";
+import { THEMES, SYSTEM_MODE, THEME_STORAGE_KEY } from "../utils/themes.js";
+import { t } from "../utils/i18n.js";
+
 class ThemeSwitcher {
   /**
    * Initialize the ThemeSwitcher component
    */
   constructor() {
-    this.themeButton = document.querySelector(".theme-switcher");
+    this.container = document.querySelector(".theme-switcher");
+    this.themeButton = this.container?.querySelector(".theme-switcher__button");
+    this.menu = this.container?.querySelector(".theme-switcher__menu");
     this.html = document.documentElement;
-    this.storageKey = "techpioneers-theme";
+    this.storageKey = THEME_STORAGE_KEY;
 
-    // Theme values
-    this.themes = {
-      LIGHT: "light",
-      DARK: "dark",
-    };
+    // Selected mode: SYSTEM_MODE or a key of THEMES
+    this.mode = SYSTEM_MODE;
   }
 
   /**
@@ -41,66 +47,157 @@ class ThemeSwitcher {
       return;
     }
 
-    // Load saved theme or detect system preference
-    const savedTheme = this.loadPreference();
-    const systemTheme = this.getSystemPreference();
-    const initialTheme = savedTheme || systemTheme;
+    // Load saved theme; without one, follow the system
+    const savedMode = this.loadPreference();
+    if (savedMode && this.isValidMode(savedMode)) {
+      this.mode = savedMode;
+    }
+
+    // Apply the initial theme (not saved: it wasn't chosen)
+    this.renderMenu();
+    this.applyTheme();
 
-    // Set initial theme
-    this.setTheme(initialTheme);
+    // Menu button
+    this.themeButton.addEventListener("click", () => {
+      if (this.isMenuOpen()) {
+        this.closeMenu();
+      } else {
+        this.openMenu();
+      }
+    });
+
+    this.themeButton.addEventListener("keydown", (e) => {
+      if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+        e.preventDefault();
+        this.openMenu(e.key === "ArrowDown" ? "first" : "last");
+      }
+    });
 
-    // Add click event listener
-    this.themeButton.addEventListener("click", () => this.toggle());
+    if (this.menu) {
+      this.menu.addEventListener("click", (e) => {
+        const option = e.target.closest("[data-theme-option]");
+        if (option) {
+          this.setTheme(option.dataset.themeOption);
+          this.closeMenu({ restoreFocus: true });
+          this.animateIcon();
+        }
+      });
+
+      this.menu.addEventListener("keydown", (e) => this.handleMenuKeydown(e));
+
+      // Close when focus or a click goes elsewhere
+      this.container.addEventListener("focusout", (e) => {
+        if (!this.container.contains(e.relatedTarget)) {
+          this.closeMenu();
+        }
+      });
+      document.addEventListener("click", (e) => {
+        if (!this.container.contains(e.target)) {
+          this.closeMenu();
+        }
+      });
+    }
 
     // Listen for system theme changes
     this.watchSystemPreference();
 
+    // Listen for theme changes made in other tabs
+    window.addEventListener("storage", (e) => this.handleStorageChange(e));
+
     // Mark as initialized
     this.initialized = true;
   }
 
+  /**
+   * Check a mode against the theme registry
+   * @param {string} mode - Mode to check
+   * @returns {boolean} True for SYSTEM_MODE and registered themes
+   */
+  isValidMode(mode) {
+    return (
+      mode === SYSTEM_MODE || Object.prototype.hasOwnProperty.call(THEMES, mode)
+    );
+  }
+
   /**
    * Toggle theme between light and dark
+   * Counts as an explicit choice, so it is saved.
    */
   toggle() {
-    const currentTheme = this.getCurrentTheme();
-    const newTheme =
-      currentTheme === this.themes.LIGHT ? this.themes.DARK : this.themes.LIGHT;
-
-    this.setTheme(newTheme);
+    const scheme = THEMES[this.getCurrentTheme()]?.scheme;
+    this.setTheme(scheme === "dark" ? "light" : "dark");
     this.animateIcon();
   }
 
   /**
-   * Set theme
-   * @param {string} theme - Theme to set ('light' or 'dark')
+   * Set the theme mode chosen by the user
+   * Explicit themes are saved; SYSTEM_MODE clears the saved preference.
+   * @param {string} mode - SYSTEM_MODE or a key of THEMES
+   * @returns {boolean} False if the mode is not registered
    */
-  setTheme(theme) {
-    // Validate theme
-    if (!Object.values(this.themes).includes(theme)) {
-      theme = this.themes.LIGHT;
+  setTheme(mode) {
+    // Validate against the registry
+    if (!this.isValidMode(mode)) {
+      console.warn(`Unknown theme: ${mode}`);
+      return false;
+    }
+
+    this.mode = mode;
+    this.applyTheme();
+
+    if (mode === SYSTEM_MODE) {
+      this.removePreference();
+    } else {
+      this.savePreference(mode);
     }
+    return true;
+  }
+
+  /**
+   * Apply the current mode to the page without saving it
+   */
+  applyTheme() {
+    const theme = this.resolveTheme(this.mode);
 
     // Update HTML data attribute
     this.html.setAttribute("data-theme", theme);
 
     // Update button aria-label
     const label =
-      theme === this.themes.DARK
-        ? "Switch to light theme"
-        : "Switch to dark theme";
-    this.themeButton.setAttribute("aria-label", label);
+      this.mode === SYSTEM_MODE
+        ? t("theme.systemResolved", { theme: t(`theme.${theme}`) })
+        : t(`theme.${theme}`);
+    this.themeButton.setAttribute(
+      "aria-label",
+      t("theme.button", { theme: label })
+    );
 
-    // Save preference
-    this.savePreference(theme);
+    this.updateMenu();
+  }
+
+  /**
+   * Get the theme a mode displays
+   * @param {string} mode - SYSTEM_MODE or a key of THEMES
+   * @returns {string} Key of THEMES
+   */
+  resolveTheme(mode) {
+    return mode === SYSTEM_MODE ? this.getSystemPreference() : mode;
   }
 
   /**
    * Get current theme
-   * @returns {string} Current theme ('light' or 'dark')
+   * @returns {string} Theme shown on the page (a key of THEMES)
    */
   getCurrentTheme() {
-    return this.html.getAttribute("data-theme") || this.themes.LIGHT;
+    return this.html.getAttribute("data-theme") || "light";
+  }
+
+  /**
+   * Get the selected mode
+   * @returns {string} SYSTEM_MODE or a key of THEMES
+   */
+  getMode() {
+    return this.mode;
   }
 
   /**
@@ -115,6 +212,17 @@ class ThemeSwitcher {
     }
   }
 
+  /**
+   * Remove the saved theme preference
+   */
+  removePreference() {
+    try {
+      localStorage.removeItem(this.storageKey);
+    } catch (error) {
+      console.warn("Failed to remove theme preference:", error);
+    }
+  }
+
   /**
    * Load theme preference from localStorage
    * @returns {string|null} Saved theme or null
@@ -137,9 +245,9 @@ class ThemeSwitcher {
       window.matchMedia &&
       window.matchMedia("(prefers-color-scheme: dark)").matches
     ) {
-      return this.themes.DARK;
+      return "dark";
     }
-    return this.themes.LIGHT;
+    return "light";
   }
 
   /**
@@ -151,28 +259,182 @@ class ThemeSwitcher {
     }
 
     const mediaQuery = window.matchMedia("(prefers-color-scheme: dark)");
+    const handleChange = () => {
+      // Only update while following the system
+      if (this.mode === SYSTEM_MODE) {
+        this.applyTheme();
+      }
+    };
 
     // Modern browsers
     if (mediaQuery.addEventListener) {
-      mediaQuery.addEventListener("change", (e) => {
-        // Only update if user hasn't set a preference
-        if (!this.loadPreference()) {
-          const newTheme = e.matches ? this.themes.DARK : this.themes.LIGHT;
-          this.setTheme(newTheme);
-        }
-      });
+      mediaQuery.addEventListener("change", handleChange);
     }
     // Older browsers
     else if (mediaQuery.addListener) {
-      mediaQuery.addListener((e) => {
-        if (!this.loadPreference()) {
-          const newTheme = e.matches ? this.themes.DARK : this.themes.LIGHT;
-          this.setTheme(newTheme);
-        }
-      });
+      mediaQuery.addListener(handleChange);
     }
   }
 
+  /**
+   * Apply a theme saved or cleared in another tab
+   * Only fires for changes made elsewhere, so nothing is saved back.
+   * @param {StorageEvent} e - Storage event
+   */
+  handleStorageChange(e) {
+    // key is null when another tab clears all of localStorage
+    if (e.key !== this.storageKey && e.key !== null) {
+      return;
+    }
+
+    const mode = e.key === null ? null : e.newValue;
+    this.mode = mode && this.isValidMode(mode) ? mode : SYSTEM_MODE;
+    this.applyTheme();
+  }
+
+  /**
+   * Render one radio item per mode into the menu
+   */
+  renderMenu() {
+    if (!this.menu) {
+      return;
+    }
+
+    const options = [SYSTEM_MODE, ...Object.keys(THEMES)].map((id) => ({
+      id,
+      label: t(`theme.${id}`),
+    }));
+
+    this.menu.replaceChildren(
+      ...options.map((option) =>
+        createElement("li", { role: "none" }, [
+          createElement(
+            "button",
+            {
+              className: "theme-switcher__option",
+              type: "button",
+              role: "menuitemradio",
+              tabindex: "-1",
+              "aria-checked": "false",
+              "data-theme-option": option.id,
+            },
+            [option.label]
+          ),
+        ])
+      )
+    );
+  }
+
+  /**
+   * Mark the selected mode in the menu
+   */
+  updateMenu() {
+    this.getMenuItems().forEach((item) => {
+      item.setAttribute(
+        "aria-checked",
+        String(item.dataset.themeOption === this.mode)
+      );
+    });
+  }
+
+  /**
+   * Get the menu items
+   * @returns {HTMLElement[]} Radio items in menu order
+   */
+  getMenuItems() {
+    return this.menu
+      ? Array.from(this.menu.querySelectorAll("[data-theme-option]"))
+      : [];
+  }
+
+  /**
+   * Check whether the menu is open
+   * @returns {boolean} True if expanded
+   */
+  isMenuOpen() {
+    return this.themeButton.getAttribute("aria-expanded") === "true";
+  }
+
+  /**
+   * Open the menu and focus an item
+   * @param {string} focus - 'checked' (default), 'first' or 'last'
+   */
+  openMenu(focus = "checked") {
+    const items = this.getMenuItems();
+
+    if (items.length === 0) {
+      return;
+    }
+
+    this.menu.hidden = false;
+    this.themeButton.setAttribute("aria-expanded", "true");
+
+    let target = items.find(
+      (item) => item.getAttribute("aria-checked") === "true"
+    );
+    if (focus === "first" || !target) {
+      target = items[0];
+    } else if (focus === "last") {
+      target = items[items.length - 1];
+    }
+    target.focus();
+  }
+
+  /**
+   * Close the menu
+   * @param {Object} options - Close options
+   * @param {boolean} options.restoreFocus - Move focus back to the button
+   */
+  closeMenu({ restoreFocus = false } = {}) {
+    if (!this.menu || !this.isMenuOpen()) {
+      return;
+    }
+
+    this.menu.hidden = true;
+    this.themeButton.setAttribute("aria-expanded", "false");
+
+    if (restoreFocus) {
+      this.themeButton.focus();
+    }
+  }
+
+  /**
+   * Handle keyboard navigation inside the menu
+   * @param {KeyboardEvent} e - Keydown event
+   */
+  handleMenuKeydown(e) {
+    const items = this.getMenuItems();
+    const index = items.indexOf(document.activeElement);
+    let target = null;
+
+    switch (e.key) {
+      case "ArrowDown":
+        target = items[(index + 1) % items.length];
+        break;
+      case "ArrowUp":
+        target = items[(index - 1 + items.length) % items.length];
+        break;
+      case "Home":
+        target = items[0];
+        break;
+      case "End":
+        target = items[items.length - 1];
+        break;
+      case "Escape":
+        e.preventDefault();
+        this.closeMenu({ restoreFocus: true });
+        return;
+      case "Tab":
+        this.closeMenu();
+        return;
+      default:
+        return;
+    }
+
+    e.preventDefault();
+    target.focus();
+  }
+
   /**
    * Animate theme switcher icon
    */
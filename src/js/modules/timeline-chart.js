@@ -0,0 +1,758 @@
+/**
+ * Timeline Chart Module
+ *
+ * Horizontal view of the Timeline of Innovation:
+ * - Events and pioneer lifespans (from the "years" field) plotted on one
+ *   time axis, so overlapping lives are visible at a glance
+ * - Zoom with the toolbar, Ctrl/Cmd + wheel or the +, - and 0 keys
+ * - Pan by scrolling the viewport (touch, trackpad) or dragging it with
+ *   the mouse
+ * - Arrow keys, Home and End move between events (a single tab stop)
+ * - The selected event is described in a live region, and the pioneers
+ *   alive at the time are highlighted
+ * - Follows the category/decade filters of the list view
+ */
+
+import { createElement } from "../utils/dom.js";
+import {
+  formatYears,
+  getBirthYear,
+  getDeathYear,
+  hasProfile,
+} from "../utils/pioneer-data.js";
+import { renderRichText } from "../utils/rich-text.js";
+import { formatList, formatYear, t, translateLabel } from "../utils/i18n.js";
+
+// Zoom levels in pixels per year ("Fit" may fall below the first one)
+const ZOOM_LEVELS = [4, 6, 8, 12, 16, 24, 32, 48, 64];
+
+// Tick steps in years; the smallest one leaving TICK_SPACING px is used
+const TICK_STEPS = [1, 2, 5, 10, 20, 25, 50, 100];
+const TICK_SPACING = 64;
+
+// Room (px) an event marker needs before the next one can share its lane
+const MARKER_WIDTH = 56;
+const MAX_LANES = 4;
+
+// Mouse movement (px) before a press on the chart becomes a pan
+const PAN_THRESHOLD = 4;
+
+class TimelineChart {
+  /**
+   * Initialize the TimelineChart component
+   * @param {HTMLElement} element - Chart container
+   * @param {Object} options - Configuration options
+   * @param {Object[]} options.categories - Event categories
+   * @param {Object[]} options.events - Events sorted by year
+   * @param {Object[]} options.pioneers - Pioneer records (those without
+   *   a birth year are left out)
+   */
+  constructor(element, { categories = [], events = [], pioneers = [] } = {}) {
+    this.container = element;
+    this.categories = categories;
+    this.events = events;
+    this.idPrefix = element?.id || "timeline-chart";
+    this.currentYear = new Date().getFullYear();
+
+    // Lifespans, oldest first; living pioneers run to the current year
+    this.lives = pioneers
+      .filter((pioneer) => getBirthYear(pioneer) !== null)
+      .map((pioneer) => ({
+        pioneer,
+        start: getBirthYear(pioneer),
+        end: getDeathYear(pioneer) ?? this.currentYear,
+        isLiving: getDeathYear(pioneer) === null,
+        element: null,
+      }))
+      .sort((a, b) => a.start - b.start);
+
+    // Axis range, widened to whole decades
+    const years = [
+      ...events.map((event) => event.year),
+      ...this.lives.flatMap((life) => [life.start, life.end]),
+    ];
+    const minYear = years.length > 0 ? Math.min(...years) : this.currentYear;
+    const maxYear = years.length > 0 ? Math.max(...years) : this.currentYear;
+    this.startYear = Math.floor(minYear / 10) * 10;
+    this.endYear = Math.floor(maxYear / 10) * 10 + 10;
+    this.span = this.endYear - this.startYear;
+
+    // Pixels per year
+    this.scale = ZOOM_LEVELS[0];
+    this.isFitted = true;
+
+    this.visibleIds = new Set(events.map((event) => event.id));
+    this.selectedId = null;
+    this.markers = new Map();
+    this.pan = null;
+    this.resizeTimeout = null;
+  }
+
+  /**
+   * Initialize chart
+   */
+  init() {
+    if (!this.container) {
+      console.warn("Timeline chart container not found");
+      return;
+    }
+
+    this.render();
+
+    this.toolbar.addEventListener("click", (e) => {
+      const button = e.target.closest("[data-zoom]");
+      if (button) {
+        this.handleZoomButton(button.dataset.zoom);
+      }
+    });
+
+    this.eventList.addEventListener("click", (e) => {
+      const marker = e.target.closest(".timeline-chart__marker");
+      if (marker) {
+        this.select(marker.dataset.eventId, { focus: true });
+      }
+    });
+
+    this.eventList.addEventListener("keydown", (e) => this.handleKeydown(e));
+
+    // Ctrl/Cmd + wheel zooms around the pointer; plain wheel scrolls
+    this.viewport.addEventListener(
+      "wheel",
+      (e) => {
+        if (!e.ctrlKey && !e.metaKey) {
+          return;
+        }
+
+        e.preventDefault();
+        const anchor = e.clientX - this.viewport.getBoundingClientRect().left;
+        if (e.deltaY < 0) {
+          this.zoomIn(anchor);
+        } else {
+          this.zoomOut(anchor);
+        }
+      },
+      { passive: false }
+    );
+
+    this.setupPan();
+
+    // Keep "Fit" fitted when the layout changes
+    window.addEventListener("resize", () => {
+      clearTimeout(this.resizeTimeout);
+      this.resizeTimeout = setTimeout(() => {
+        if (this.isFitted && !this.container.hidden) {
+          this.fit();
+        }
+      }, 150);
+    });
+
+    this.fit();
+
+    const [first] = this.getVisibleEvents();
+    if (first) {
+      this.select(first.id, { scroll: false });
+    }
+  }
+
+  /**
+   * Get the horizontal position of a year
+   * @param {number} year - Year
+   * @returns {number} Percentage of the axis width
+   */
+  getPosition(year) {
+    return ((year - this.startYear) / this.span) * 100;
+  }
+
+  /**
+   * Get the category label of an event
+   * @param {Object} event - Timeline event
+   * @returns {string} Category label
+   */
+  getCategoryLabel(event) {
+    const category = this.categories.find(({ id }) => id === event.category);
+    return translateLabel(
+      `timeline.categories.${event.category}`,
+      category ? category.label : event.category
+    );
+  }
+
+  /**
+   * Build the chart markup
+   */
+  render() {
+    const hintId = `${this.idPrefix}-hint`;
+
+    this.toolbar = createElement(
+      "div",
+      { className: "timeline-chart__toolbar" },
+      [
+        createElement(
+          "div",
+          {
+            className: "timeline-chart__zoom",
+            role: "group",
+            "aria-label": t("chart.zoom"),
+          },
+          [
+            createElement(
+              "button",
+              {
+                className: "timeline-chart__zoom-button",
+                type: "button",
+                "data-zoom": "out",
+                "aria-label": t("chart.zoomOut"),
+              },
+              ["−"]
+            ),
+            createElement(
+              "button",
+              {
+                className: "timeline-chart__zoom-button",
+                type: "button",
+                "data-zoom": "in",
+                "aria-label": t("chart.zoomIn"),
+              },
+              ["+"]
+            ),
+            createElement(
+              "button",
+              {
+                className: "timeline-chart__zoom-button",
+                type: "button",
+                "data-zoom": "fit",
+              },
+              [t("chart.fit")]
+            ),
+          ]
+        ),
+        createElement("p", { id: hintId, className: "timeline-chart__hint" }, [
+          t("chart.hint"),
+        ]),
+      ]
+    );
+
+    this.axis = createElement("ol", {
+      className: "timeline-chart__axis",
+      "aria-hidden": "true",
+    });
+
+    this.cursor = createElement("div", {
+      className: "timeline-chart__cursor",
+      "aria-hidden": "true",
+      hidden: true,
+    });
+
+    this.eventList = createElement(
+      "ol",
+      {
+        className: "timeline-chart__events",
+        "aria-label": t("chart.events"),
+        "aria-describedby": hintId,
+      },
+      this.events.map((event) => this.createMarker(event))
+    );
+
+    this.lifeList = createElement(
+      "ol",
+      { className: "timeline-chart__lives", "aria-label": t("chart.lives") },
+      this.lives.map((life) => this.createLife(life))
+    );
+
+    this.canvas = createElement(
+      "div",
+      { className: "timeline-chart__canvas" },
+      [this.axis, this.cursor, this.eventList, this.lifeList]
+    );
+
+    this.viewport = createElement(
+      "div",
+      { className: "timeline-chart__viewport" },
+      [this.canvas]
+    );
+
+    this.detail = createElement("div", {
+      className: "timeline-chart__detail",
+      "aria-live": "polite",
+    });
+
+    this.container.replaceChildren(this.toolbar, this.viewport, this.detail);
+  }
+
+  /**
+   * Create the marker of an event
+   * @param {Object} event - Timeline event
+   * @returns {HTMLElement} List item with the marker button
+   */
+  createMarker(event) {
+    const button = createElement(
+      "button",
+      {
+        className: "timeline-chart__marker",
+        type: "button",
+        tabindex: "-1",
+        "data-event-id": event.id,
+        "aria-label": `${formatYear(event.year)}: ${event.title}`,
+        title: event.title,
+      },
+      [
+        createElement("time", { datetime: String(event.year) }, [
+          formatYear(event.year),
+        ]),
+      ]
+    );
+    const item = createElement(
+      "li",
+      {
+        className: "timeline-chart__event",
+        "data-category": event.category,
+      },
+      [button]
+    );
+
+    item.style.setProperty("--start", this.getPosition(event.year));
+    this.markers.set(event.id, item);
+    return item;
+  }
+
+  /**
+   * Create the lifespan bar of a pioneer
+   * Pioneers with a profile link to their deep link.
+   * @param {Object} life - Lifespan entry
+   * @returns {HTMLElement} List item with the bar
+   */
+  createLife(life) {
+    const { pioneer } = life;
+    const content = [
+      pioneer.name,
+      " ",
+      createElement("span", { className: "timeline-chart__life-years" }, [
+        formatYears(pioneer),
+      ]),
+    ];
+    let label = createElement(
+      "span",
+      { className: "timeline-chart__life-label" },
+      content
+    );
+
+    if (hasProfile(pioneer)) {
+      label = createElement(
+        "a",
+        {
+          className: "timeline-chart__life-label",
+          href: `#/pioneer/${pioneer.id}`,
+        },
+        content
+      );
+    }
+
+    life.element = createElement(
+      "li",
+      {
+        className: life.isLiving
+          ? "timeline-chart__life timeline-chart__life--living"
+          : "timeline-chart__life",
+      },
+      [label]
+    );
+
+    life.element.style.setProperty("--start", this.getPosition(life.start));
+    life.element.style.setProperty(
+      "--span",
+      this.getPosition(life.end) - this.getPosition(life.start)
+    );
+    return life.element;
+  }
+
+  /**
+   * Get the events not hidden by the filters
+   * @returns {Object[]} Visible events, sorted by year
+   */
+  getVisibleEvents() {
+    return this.events.filter((event) => this.visibleIds.has(event.id));
+  }
+
+  /**
+   * Show only the given events (the list view's filters)
+   * @param {Iterable<string>} ids - Ids of the events to show
+   */
+  setVisibleEvents(ids) {
+    this.visibleIds = new Set(ids);
+
+    this.markers.forEach((item, id) => {
+      item.hidden = !this.visibleIds.has(id);
+    });
+
+    if (!this.container || !this.canvas) {
+      return;
+    }
+
+    this.layoutLanes();
+
+    if (!this.visibleIds.has(this.selectedId)) {
+      const [first] = this.getVisibleEvents();
+      this.select(first ? first.id : null, { scroll: false });
+    }
+  }
+
+  /**
+   * Spread visible markers over lanes so their labels don't overlap
+   */
+  layoutLanes() {
+    const laneEnds = [];
+
+    this.getVisibleEvents().forEach((event) => {
+      const x = (event.year - this.startYear) * this.scale;
+      let lane = laneEnds.findIndex((end) => x - end >= MARKER_WIDTH);
+
+      if (lane === -1 && laneEnds.length < MAX_LANES) {
+        lane = laneEnds.length;
+      } else if (lane === -1) {
+        // Every lane is crowded: reuse the one that frees up first
+        lane = laneEnds.indexOf(Math.min(...laneEnds));
+      }
+
+      laneEnds[lane] = x;
+      this.markers.get(event.id).style.setProperty("--lane", lane);
+    });
+
+    this.eventList.style.setProperty("--lanes", Math.max(laneEnds.length, 1));
+  }
+
+  /**
+   * Render the year ticks for the current zoom level
+   */
+  renderTicks() {
+    const step =
+      TICK_STEPS.find((years) => years * this.scale >= TICK_SPACING) ||
+      TICK_STEPS[TICK_STEPS.length - 1];
+    const ticks = [];
+
+    for (
+      let year = Math.ceil(this.startYear / step) * step;
+      year <= this.endYear;
+      year += step
+    ) {
+      const tick = createElement("li", { className: "timeline-chart__tick" }, [
+        formatYear(year),
+      ]);
+      tick.style.setProperty("--start", this.getPosition(year));
+      ticks.push(tick);
+    }
+
+    this.axis.replaceChildren(...ticks);
+  }
+
+  /**
+   * Get the zoom level that shows the whole axis
+   * @returns {number} Pixels per year
+   */
+  getFitScale() {
+    const width = this.viewport.clientWidth;
+    return width > 0 ? width / this.span : ZOOM_LEVELS[0];
+  }
+
+  /**
+   * Set the zoom level, keeping the year under the anchor in place
+   * @param {number} scale - Pixels per year
+   * @param {number} anchor - Anchor offset in the viewport (px; defaults
+   *   to its centre)
+   */
+  zoomTo(scale, anchor = this.viewport.clientWidth / 2) {
+    const fitScale = this.getFitScale();
+    const maxScale = ZOOM_LEVELS[ZOOM_LEVELS.length - 1];
+    const nextScale = Math.min(Math.max(scale, fitScale), maxScale);
+    const anchorYear = (this.viewport.scrollLeft + anchor) / this.scale;
+
+    this.scale = nextScale;
+    this.isFitted = nextScale <= fitScale;
+    this.canvas.style.width = `${this.span * this.scale}px`;
+    this.viewport.scrollLeft = anchorYear * this.scale - anchor;
+
+    this.renderTicks();
+    this.layoutLanes();
+    this.updateZoomButtons();
+  }
+
+  /**
+   * Zoom in one level
+   * @param {number} anchor - Anchor offset in the viewport (px)
+   */
+  zoomIn(anchor) {
+    const next = ZOOM_LEVELS.find((level) => level > this.scale);
+    if (next) {
+      this.zoomTo(next, anchor);
+    }
+  }
+
+  /**
+   * Zoom out one level (down to the fitted view)
+   * @param {number} anchor - Anchor offset in the viewport (px)
+   */
+  zoomOut(anchor) {
+    const lower = ZOOM_LEVELS.filter((level) => level < this.scale);
+    this.zoomTo(lower.length > 0 ? lower[lower.length - 1] : 0, anchor);
+  }
+
+  /**
+   * Show the whole axis
+   */
+  fit() {
+    this.zoomTo(this.getFitScale(), 0);
+  }
+
+  /**
+   * Handle a toolbar zoom button
+   * @param {string} action - 'in', 'out' or 'fit'
+   */
+  handleZoomButton(action) {
+    if (action === "in") {
+      this.zoomIn();
+    } else if (action === "out") {
+      this.zoomOut();
+    } else {
+      this.fit();
+    }
+
+    this.scrollToYear(this.getSelectedEvent()?.year);
+  }
+
+  /**
+   * Disable zoom buttons at either end of the range
+   */
+  updateZoomButtons() {
+    const maxScale = ZOOM_LEVELS[ZOOM_LEVELS.length - 1];
+
+    this.toolbar.querySelectorAll("[data-zoom]").forEach((button) => {
+      const { zoom } = button.dataset;
+      button.disabled =
+        (zoom === "in" && this.scale >= maxScale) ||
+        (zoom !== "in" && this.isFitted);
+    });
+  }
+
+  /**
+   * Setup mouse dragging to pan (touch and trackpads scroll natively)
+   */
+  setupPan() {
+    this.viewport.addEventListener("pointerdown", (e) => {
+      if (
+        e.pointerType !== "mouse" ||
+        e.button !== 0 ||
+        e.target.closest("a, button")
+      ) {
+        return;
+      }
+
+      this.pan = {
+        pointerId: e.pointerId,
+        startX: e.clientX,
+        scrollLeft: this.viewport.scrollLeft,
+        isPanning: false,
+      };
+    });
+
+    this.viewport.addEventListener("pointermove", (e) => {
+      if (!this.pan || e.pointerId !== this.pan.pointerId) {
+        return;
+      }
+
+      const diff = e.clientX - this.pan.startX;
+
+      if (!this.pan.isPanning) {
+        if (Math.abs(diff) < PAN_THRESHOLD) {
+          return;
+        }
+        this.pan.isPanning = true;
+        this.viewport.setPointerCapture?.(e.pointerId);
+        this.viewport.classList.add("timeline-chart__viewport--panning");
+      }
+
+      e.preventDefault();
+      this.viewport.scrollLeft = this.pan.scrollLeft - diff;
+    });
+
+    const endPan = (e) => {
+      if (!this.pan || e.pointerId !== this.pan.pointerId) {
+        return;
+      }
+
+      this.pan = null;
+      this.viewport.classList.remove("timeline-chart__viewport--panning");
+    };
+
+    this.viewport.addEventListener("pointerup", endPan);
+    this.viewport.addEventListener("pointercancel", endPan);
+  }
+
+  /**
+   * Handle keyboard navigation on the event markers
+   * @param {KeyboardEvent} e - Keydown event
+   */
+  handleKeydown(e) {
+    const events = this.getVisibleEvents();
+    const index = events.findIndex((event) => event.id === this.selectedId);
+    let target = null;
+
+    switch (e.key) {
+      case "ArrowRight":
+      case "ArrowDown":
+        target = events[Math.min(index + 1, events.length - 1)];
+        break;
+      case "ArrowLeft":
+      case "ArrowUp":
+        target = events[Math.max(index - 1, 0)];
+        break;
+      case "Home":
+        target = events[0];
+        break;
+      case "End":
+        target = events[events.length - 1];
+        break;
+      case "+":
+      case "=":
+        this.handleZoomButton("in");
+        break;
+      case "-":
+        this.handleZoomButton("out");
+        break;
+      case "0":
+        this.handleZoomButton("fit");
+        break;
+      default:
+        return;
+    }
+
+    e.preventDefault();
+
+    if (target) {
+      this.select(target.id, { focus: true });
+    }
+  }
+
+  /**
+   * Get the selected event
+   * @returns {Object|undefined} Selected event
+   */
+  getSelectedEvent() {
+    return this.events.find((event) => event.id === this.selectedId);
+  }
+
+  /**
+   * Select an event: describe it and highlight the pioneers alive then
+   * @param {string|null} id - Event id (null clears the selection)
+   * @param {Object} options - Selection options
+   * @param {boolean} options.focus - Move focus to the marker
+   * @param {boolean} options.scroll - Scroll the marker into view
+   */
+  select(id, { focus = false, scroll = true } = {}) {
+    this.selectedId = id;
+    const event = this.getSelectedEvent();
+
+    // Roving tabindex: the selected marker is the chart's tab stop
+    this.markers.forEach((item, eventId) => {
+      const button = item.querySelector(".timeline-chart__marker");
+      button.setAttribute("tabindex", eventId === id ? "0" : "-1");
+      if (eventId === id) {
+        button.setAttribute("aria-current", "true");
+      } else {
+        button.removeAttribute("aria-current");
+      }
+    });
+
+    this.lives.forEach((life) => {
+      life.element.classList.toggle(
+        "timeline-chart__life--active",
+        Boolean(event) && life.start <= event.year && event.year <= life.end
+      );
+    });
+
+    this.cursor.hidden = !event;
+
+    if (!event) {
+      this.detail.replaceChildren();
+      return;
+    }
+
+    this.cursor.style.setProperty("--start", this.getPosition(event.year));
+    this.renderDetail(event);
+
+    if (focus) {
+      this.markers
+        .get(id)
+        .querySelector(".timeline-chart__marker")
+        .focus({ preventScroll: true });
+    }
+    if (scroll) {
+      this.scrollToYear(event.year);
+    }
+  }
+
+  /**
+   * Describe an event in the live region
+   * @param {Object} event - Timeline event
+   */
+  renderDetail(event) {
+    const alive = this.lives.filter(
+      (life) => life.start <= event.year && event.year <= life.end
+    );
+    const content = [
+      createElement("p", { className: "timeline-chart__detail-title" }, [
+        createElement("time", { datetime: String(event.year) }, [
+          formatYear(event.year),
+        ]),
+        `: ${event.title}`,
+      ]),
+      createElement("p", { className: "timeline-chart__detail-category" }, [
+        this.getCategoryLabel(event),
+      ]),
+      createElement("p", { className: "timeline-chart__detail-text" }, [
+        renderRichText(event.description),
+      ]),
+    ];
+
+    if (alive.length > 0) {
+      content.push(
+        createElement("p", { className: "timeline-chart__detail-alive" }, [
+          t("chart.alive", {
+            pioneers: formatList(alive.map((life) => life.pioneer.name)),
+          }),
+        ])
+      );
+    }
+
+    this.detail.replaceChildren(...content);
+  }
+
+  /**
+   * Scroll a year into view if it is outside the visible range
+   * @param {number} year - Year to reveal
+   */
+  scrollToYear(year) {
+    if (year === undefined) {
+      return;
+    }
+
+    const x = (year - this.startYear) * this.scale;
+    const { scrollLeft, clientWidth } = this.viewport;
+
+    if (
+      x >= scrollLeft + MARKER_WIDTH &&
+      x <= scrollLeft + clientWidth - MARKER_WIDTH
+    ) {
+      return;
+    }
+
+    const prefersReducedMotion = window.matchMedia?.(
+      "(prefers-reduced-motion: reduce)"
+    ).matches;
+
+    this.viewport.scrollTo({
+      left: x - clientWidth / 2,
+      behavior: prefersReducedMotion ? "auto" : "smooth",
+    });
+  }
+}
+
+// Export the TimelineChart class
+export default TimelineChart;
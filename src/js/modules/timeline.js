@@ -0,0 +1,489 @@
+/**
+ * Timeline Module
+ *
+ * Timeline of Innovation rendered from src/data/timeline.json:
+ * - One list item per event, sorted by year, with a category icon
+ * - Filter chips by category and decade (items are hidden, not rebuilt,
+ *   so scroll animations keep their state)
+ * - Expandable details per event (button with aria-expanded)
+ * - Links to related pioneers (#/pioneer/<id>, opened in the modal by
+ *   the router)
+ * - List / chart view toggle; the horizontal chart (timeline-chart.js)
+ *   is built the first time it is shown and follows the same filters
+ * - Reveals filtered-out events picked from the header search
+ */
+
+import { createElement } from "../utils/dom.js";
+import { hasProfile } from "../utils/pioneer-data.js";
+import { getDecade } from "../utils/timeline-data.js";
+import { renderRichParagraphs, renderRichText } from "../utils/rich-text.js";
+import { formatYear, t, tNodes, translateLabel } from "../utils/i18n.js";
+import TimelineChart from "./timeline-chart.js";
+
+class Timeline {
+  /**
+   * Initialize the Timeline component
+   * @param {HTMLElement} element - Timeline section
+   * @param {Object} options - Configuration options
+   * @param {Object[]} options.categories - Event categories
+   * @param {Object[]} options.events - Events sorted by year
+   * @param {Object} options.pioneers - Pioneer records keyed by id
+   */
+  constructor(element, { categories = [], events = [], pioneers = {} } = {}) {
+    this.section = element;
+    this.list = element?.querySelector(".timeline__list");
+    this.filtersContainer = element?.querySelector("[data-timeline-filters]");
+    this.chartContainer = element?.querySelector("[data-timeline-chart]");
+    this.viewButtons = element
+      ? Array.from(element.querySelectorAll("[data-timeline-view]"))
+      : [];
+    this.categories = categories;
+    this.events = events;
+    this.pioneers = pioneers;
+    this.idPrefix = element?.id || "timeline";
+
+    // Current selection (null = all)
+    this.state = {
+      category: null,
+      decade: null,
+    };
+
+    // "list" or "chart"
+    this.view = "list";
+    this.chart = null;
+
+    // Rendered list items by event id
+    this.items = new Map();
+    this.status = null;
+    this.emptyMessage = null;
+  }
+
+  /**
+   * Initialize timeline
+   */
+  init() {
+    if (!this.list) {
+      console.warn("Timeline list not found");
+      return;
+    }
+
+    this.renderItems();
+
+    if (this.filtersContainer) {
+      this.renderFilters();
+
+      // Filter chips (delegated)
+      this.filtersContainer.addEventListener("click", (e) => {
+        const chip = e.target.closest(".timeline__chip");
+        if (chip) {
+          this.setFilter(chip.dataset.filter, chip.dataset.value || null);
+        }
+      });
+    }
+
+    // Detail toggles (delegated)
+    this.list.addEventListener("click", (e) => {
+      const toggle = e.target.closest(".timeline__item-toggle");
+      if (toggle) {
+        this.toggleDetails(toggle);
+      }
+    });
+
+    // View toggle
+    this.viewButtons.forEach((button) => {
+      button.addEventListener("click", () => {
+        this.setView(button.dataset.timelineView);
+      });
+    });
+
+    // Search result inside the list: show it, clearing the filters if
+    // they hide the event
+    this.list.addEventListener("search:reveal", (e) => {
+      this.setView("list");
+      if (e.target.hidden) {
+        this.resetFilters();
+      }
+    });
+
+    this.apply();
+  }
+
+  /**
+   * Get a category by id
+   * @param {string} id - Category id
+   * @returns {Object|undefined} Category
+   */
+  getCategory(id) {
+    return this.categories.find((category) => category.id === id);
+  }
+
+  /**
+   * Get the display label of a category
+   * @param {Object} category - Category
+   * @returns {string} Catalog label (timeline.categories.<id>) or the
+   *   label from the data
+   */
+  getCategoryLabel(category) {
+    return translateLabel(`timeline.categories.${category.id}`, category.label);
+  }
+
+  /**
+   * Create the related pioneer links of an event
+   * Pioneers with a profile link to their deep link; others are listed by
+   * name.
+   * @param {Object} event - Timeline event
+   * @returns {HTMLElement|null} Paragraph, or null without known pioneers
+   */
+  createPioneerLinks(event) {
+    const pioneers = event.pioneers
+      .map((id) => this.pioneers[id])
+      .filter(Boolean);
+
+    if (pioneers.length === 0) {
+      return null;
+    }
+
+    const links = pioneers.flatMap((pioneer, index) => {
+      let link = createElement("span", { className: "timeline__pioneer" }, [
+        pioneer.name,
+      ]);
+
+      if (hasProfile(pioneer)) {
+        link = createElement(
+          "a",
+          {
+            className: "timeline__pioneer timeline__pioneer--link",
+            href: `#/pioneer/${pioneer.id}`,
+          },
+          [pioneer.name]
+        );
+      }
+
+      return index === 0 ? [link] : [", ", link];
+    });
+
+    return createElement(
+      "p",
+      { className: "timeline__item-pioneers" },
+      tNodes("timeline.pioneers", { pioneers: links })
+    );
+  }
+
+  /**
+   * Create the list item for an event
+   * @param {Object} event - Timeline event
+   * @returns {HTMLElement} Timeline item
+   */
+  createItem(event) {
+    const category = this.getCategory(event.category);
+    const itemId = `${this.idPrefix}-event-${event.id}`;
+    const detailsId = `${itemId}-details`;
+    const detailContent = [
+      ...renderRichParagraphs(event.details, {
+        className: "timeline__item-text",
+      }),
+    ];
+    const pioneerLinks = this.createPioneerLinks(event);
+
+    if (pioneerLinks) {
+      detailContent.push(pioneerLinks);
+    }
+
+    const content = [
+      createElement("h3", { className: "timeline__item-title" }, [
+        createElement(
+          "time",
+          { className: "timeline__item-year", datetime: String(event.year) },
+          [formatYear(event.year)]
+        ),
+        `: ${event.title}`,
+      ]),
+      createElement("p", { className: "timeline__item-description" }, [
+        renderRichText(event.description),
+      ]),
+      createElement("p", { className: "timeline__item-category" }, [
+        this.getCategoryLabel(category),
+      ]),
+    ];
+
+    if (detailContent.length > 0) {
+      content.push(
+        createElement(
+          "button",
+          {
+            className: "timeline__item-toggle",
+            type: "button",
+            "aria-expanded": "false",
+            "aria-controls": detailsId,
+          },
+          [t("timeline.showDetails")]
+        ),
+        createElement(
+          "div",
+          { className: "timeline__item-details", id: detailsId, hidden: true },
+          detailContent
+        )
+      );
+    }
+
+    return createElement(
+      "li",
+      {
+        className: "timeline__item",
+        id: itemId,
+        "data-category": event.category,
+        "data-decade": String(getDecade(event)),
+      },
+      [
+        createElement("img", {
+          src: category.icon,
+          alt: "",
+          className: "timeline__item-icon",
+          "aria-hidden": "true",
+          width: "16",
+          height: "16",
+        }),
+        createElement("div", { className: "timeline__item-content" }, content),
+      ]
+    );
+  }
+
+  /**
+   * Render every event into the list
+   */
+  renderItems() {
+    this.items.clear();
+    this.events.forEach((event) => {
+      this.items.set(event.id, this.createItem(event));
+    });
+
+    this.emptyMessage = createElement(
+      "p",
+      { className: "timeline__empty", hidden: true },
+      [t("timeline.empty")]
+    );
+
+    this.list.replaceChildren(...this.items.values());
+    this.list.after(this.emptyMessage);
+  }
+
+  /**
+   * Create a chip group
+   * @param {string} filter - State key ('category' or 'decade')
+   * @param {string} label - Group label
+   * @param {{value: string, label: string}[]} options - Chip options
+   * @returns {HTMLElement} Group element
+   */
+  createChipGroup(filter, label, options) {
+    const labelId = `${this.idPrefix}-${filter}-label`;
+    const chips = [{ value: "", label: t("filters.all") }, ...options].map(
+      (option) =>
+        createElement(
+          "button",
+          {
+            className: "timeline__chip",
+            type: "button",
+            "aria-pressed": String(option.value === ""),
+            "data-filter": filter,
+            "data-value": option.value,
+          },
+          [option.label]
+        )
+    );
+
+    return createElement(
+      "div",
+      {
+        className: "timeline__filter-group",
+        role: "group",
+        "aria-labelledby": labelId,
+      },
+      [
+        createElement(
+          "span",
+          { id: labelId, className: "timeline__filter-label" },
+          [label]
+        ),
+        createElement("div", { className: "timeline__chips" }, chips),
+      ]
+    );
+  }
+
+  /**
+   * Render the filter controls
+   * Only categories and decades that have events get a chip.
+   */
+  renderFilters() {
+    const usedCategories = new Set(this.events.map((event) => event.category));
+    const decades = Array.from(new Set(this.events.map(getDecade)));
+
+    this.status = createElement("p", {
+      className: "timeline__status",
+      role: "status",
+      "aria-live": "polite",
+    });
+
+    this.filtersContainer.replaceChildren(
+      this.createChipGroup(
+        "category",
+        t("timeline.filter.category"),
+        this.categories
+          .filter((category) => usedCategories.has(category.id))
+          .map((category) => ({
+            value: category.id,
+            label: this.getCategoryLabel(category),
+          }))
+      ),
+      this.createChipGroup(
+        "decade",
+        t("timeline.filter.decade"),
+        decades.map((decade) => ({
+          value: String(decade),
+          label: t("timeline.decade", { decade: formatYear(decade) }),
+        }))
+      ),
+      this.status
+    );
+  }
+
+  /**
+   * Set a filter value and update the visible events
+   * @param {string} filter - State key ('category' or 'decade')
+   * @param {string|null} value - Selected value (null = all)
+   */
+  setFilter(filter, value) {
+    if (!(filter in this.state) || this.state[filter] === value) {
+      return;
+    }
+
+    this.state[filter] = value;
+    this.apply();
+  }
+
+  /**
+   * Show every event again
+   */
+  resetFilters() {
+    this.state.category = null;
+    this.state.decade = null;
+    this.apply();
+  }
+
+  /**
+   * Show the events matching the current filters
+   */
+  apply() {
+    const { category, decade } = this.state;
+    const visible = [];
+    const visibleIds = [];
+
+    this.items.forEach((item, id) => {
+      const matches =
+        (!category || item.dataset.category === category) &&
+        (!decade || item.dataset.decade === decade);
+
+      item.hidden = !matches;
+      item.classList.remove("timeline__item--first", "timeline__item--last");
+
+      if (matches) {
+        visible.push(item);
+        visibleIds.push(id);
+      }
+    });
+
+    // The connecting line starts and ends at the visible edges
+    visible[0]?.classList.add("timeline__item--first");
+    visible[visible.length - 1]?.classList.add("timeline__item--last");
+
+    this.emptyMessage.hidden = visible.length > 0;
+    this.chart?.setVisibleEvents(visibleIds);
+    this.updateChips();
+    this.updateStatus(visible.length);
+  }
+
+  /**
+   * Switch between the list and the chart
+   * @param {string} view - 'list' or 'chart'
+   */
+  setView(view) {
+    if (view === this.view || (view === "chart" && !this.chartContainer)) {
+      return;
+    }
+
+    this.view = view;
+    this.list.hidden = view !== "list";
+    if (this.chartContainer) {
+      this.chartContainer.hidden = view !== "chart";
+    }
+
+    this.viewButtons.forEach((button) => {
+      button.setAttribute(
+        "aria-pressed",
+        String(button.dataset.timelineView === view)
+      );
+    });
+
+    // Build the chart once it has a size to fit
+    if (view === "chart" && !this.chart) {
+      this.chart = new TimelineChart(this.chartContainer, {
+        categories: this.categories,
+        events: this.events,
+        pioneers: Object.values(this.pioneers),
+      });
+      this.chart.init();
+      this.apply();
+    }
+  }
+
+  /**
+   * Sync chip pressed state with the current filters
+   */
+  updateChips() {
+    this.filtersContainer
+      ?.querySelectorAll(".timeline__chip")
+      .forEach((chip) => {
+        const selected = this.state[chip.dataset.filter];
+        const isPressed = (chip.dataset.value || null) === selected;
+        chip.setAttribute("aria-pressed", String(isPressed));
+      });
+  }
+
+  /**
+   * Update the announced result count
+   * @param {number} count - Number of visible events
+   */
+  updateStatus(count) {
+    if (!this.status) {
+      return;
+    }
+
+    this.status.textContent =
+      count === this.events.length
+        ? t("timeline.statusAll", { count })
+        : t("timeline.status", { count, total: this.events.length });
+  }
+
+  /**
+   * Expand or collapse an event's details
+   * @param {HTMLElement} toggle - Toggle button
+   */
+  toggleDetails(toggle) {
+    const details = document.getElementById(
+      toggle.getAttribute("aria-controls")
+    );
+    const isExpanded = toggle.getAttribute("aria-expanded") === "true";
+
+    if (!details) {
+      return;
+    }
+
+    toggle.setAttribute("aria-expanded", String(!isExpanded));
+    toggle.textContent = t(
+      isExpanded ? "timeline.showDetails" : "timeline.hideDetails"
+    );
+    details.hidden = isExpanded;
+  }
+}
+
+// Export the Timeline class
+export default Timeline;
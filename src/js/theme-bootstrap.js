@@ -0,0 +1,41 @@
+/**
+ * Theme Bootstrap
+ *
+ * Classic blocking script added to the top of <head> by the theme-bootstrap
+ * plugin in vite.config.js (an external file, so the script-src 'self' CSP
+ * allows it):
+ * - Applies the saved theme before first paint, so there is no light flash
+ *   while main.js loads
+ * - Without a saved theme, resolves "system" from prefers-color-scheme
+ * - Reads the theme ids and storage key from its data attributes; it has no
+ *   imports, so keep it small and dependency-free
+ *
+ * ThemeSwitcher takes over once main.js runs.
+ */
+
+(() => {
+  const script = document.currentScript;
+
+  if (!script) {
+    return;
+  }
+
+  const themes = (script.dataset.themes || "").split(" ");
+  let theme = null;
+
+  try {
+    theme = localStorage.getItem(script.dataset.storageKey);
+  } catch {
+    // Storage unavailable (e.g. blocked cookies): follow the system
+  }
+
+  if (!themes.includes(theme)) {
+    theme =
+      window.matchMedia &&
+      window.matchMedia("(prefers-color-scheme: dark)").matches
+        ? "dark"
+        : "light";
+  }
+
+  document.documentElement.setAttribute("data-theme", theme);
+})();
@@ -0,0 +1,101 @@
+/**
+ * Comparison Utility
+ *
+ * State and lifespan math behind the pioneer comparison:
+ * - The pioneers picked for comparison (2 to 3, in the order picked);
+ *   kept in memory, the compare route in the URL is what gets shared
+ * - Lifespans and the years pioneers were alive at the same time
+ */
+
+import { getBirthYear, getDeathYear } from "./pioneer-data.js";
+
+// How many pioneers a comparison shows
+export const MIN_COMPARE = 2;
+export const MAX_COMPARE = 3;
+
+// Pioneer ids picked for comparison
+let selection = [];
+
+/**
+ * Get the pioneers picked for comparison
+ * @returns {string[]} Pioneer ids, in the order they were picked
+ */
+export function getSelection() {
+  return [...selection];
+}
+
+/**
+ * Check whether a pioneer is picked for comparison
+ * @param {string} pioneerId - Pioneer id
+ * @returns {boolean} Whether the pioneer is in the selection
+ */
+export function isSelected(pioneerId) {
+  return selection.includes(pioneerId);
+}
+
+/**
+ * Replace the selection
+ * @param {string[]} ids - Pioneer ids (repeats dropped, cut to MAX_COMPARE)
+ * @returns {string[]} The new selection
+ */
+export function setSelection(ids) {
+  selection = [...new Set(ids)].slice(0, MAX_COMPARE);
+  return getSelection();
+}
+
+/**
+ * Get the years a pioneer was alive
+ * @param {Object} pioneer - Pioneer record
+ * @param {number} currentYear - Year used as the end of living pioneers
+ * @returns {{start: number, end: number, living: boolean}|null} Lifespan,
+ *   or null without a birth year
+ */
+export function getLifespan(pioneer, currentYear = new Date().getFullYear()) {
+  const start = getBirthYear(pioneer);
+  const death = getDeathYear(pioneer);
+
+  if (start === null) {
+    return null;
+  }
+
+  return {
+    start,
+    end: death === null ? currentYear : death,
+    living: death === null,
+  };
+}
+
+/**
+ * Get the years a group of pioneers were all alive
+ * @param {Object[]} pioneers - Pioneer records
+ * @param {number} currentYear - Year used as the end of living pioneers
+ * @returns {{start: number, end: number, living: boolean, years: number}|
+ *   {gap: number}|null} Shared years ("living" when all are still alive),
+ *   the years between them when there are none, or null if a birth year
+ *   is unknown
+ */
+export function getOverlap(pioneers, currentYear = new Date().getFullYear()) {
+  const lifespans = pioneers.map((pioneer) =>
+    getLifespan(pioneer, currentYear)
+  );
+
+  if (lifespans.length === 0 || lifespans.includes(null)) {
+    return null;
+  }
+
+  const start = Math.max(...lifespans.map((lifespan) => lifespan.start));
+  const end = Math.min(...lifespans.map((lifespan) => lifespan.end));
+
+  if (start > end) {
+    return { gap: start - end };
+  }
+
+  return {
+    start,
+    end,
+    living: lifespans.every((lifespan) => lifespan.living),
+    years: end - start,
+  };
+}
+
+export default getSelection;
@@ -0,0 +1,33 @@
+/**
+ * DOM Utility
+ *
+ * Small helpers for building DOM nodes without innerHTML.
+ * Text is always inserted as text nodes, never parsed as markup.
+ */
+
+/**
+ * Create an element with attributes and children
+ * @param {string} tagName - Element tag name
+ * @param {Object} attributes - Attributes to set (className maps to class)
+ * @param {Array<Node|string>} children - Child nodes or text
+ * @returns {HTMLElement} Created element
+ */
+export function createElement(tagName, attributes = {}, children = []) {
+  const element = document.createElement(tagName);
+
+  Object.entries(attributes).forEach(([name, value]) => {
+    if (value === undefined || value === null || value === false) {
+      return;
+    }
+    if (name === "className") {
+      element.className = value;
+    } else {
+      element.setAttribute(name, value === true ? "" : value);
+    }
+  });
+
+  element.append(...children);
+  return element;
+}
+
+export default createElement;
@@ -0,0 +1,137 @@
+/**
+ * Favorites Utility
+ *
+ * The visitor's favorite pioneers, kept in localStorage next to the
+ * theme and language choices:
+ * - Ordered list of pioneer ids (most recently added last)
+ * - Storage errors are logged and the list lives on in memory for the
+ *   rest of the visit (private mode, full quota, disabled storage)
+ * - JSON export and import of the list
+ */
+
+// localStorage key of the favorite pioneer ids (JSON array)
+export const FAVORITES_STORAGE_KEY = "techpioneers-favorites";
+
+const ID_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+// Favorite ids in memory (read from storage on first use)
+let favorites = null;
+
+/**
+ * Keep the valid, distinct pioneer ids of a list
+ * @param {*} ids - Candidate list
+ * @returns {string[]} Pioneer ids in their original order
+ */
+function normalizeIds(ids) {
+  if (!Array.isArray(ids)) {
+    return [];
+  }
+
+  return [
+    ...new Set(
+      ids.filter((id) => typeof id === "string" && ID_PATTERN.test(id))
+    ),
+  ];
+}
+
+/**
+ * Load the favorites from localStorage
+ * @returns {string[]} Saved pioneer ids (empty if missing or unreadable)
+ */
+export function loadFavorites() {
+  try {
+    const saved = localStorage.getItem(FAVORITES_STORAGE_KEY);
+    favorites = saved ? normalizeIds(JSON.parse(saved)) : [];
+  } catch (error) {
+    console.warn("Failed to load favorites:", error);
+    favorites = [];
+  }
+  return [...favorites];
+}
+
+/**
+ * Get the favorite pioneer ids
+ * @returns {string[]} Pioneer ids, oldest first
+ */
+export function getFavorites() {
+  if (!favorites) {
+    loadFavorites();
+  }
+  return [...favorites];
+}
+
+/**
+ * Check whether a pioneer is a favorite
+ * @param {string} pioneerId - Pioneer id
+ * @returns {boolean} Whether the pioneer is in the list
+ */
+export function isFavorite(pioneerId) {
+  return getFavorites().includes(pioneerId);
+}
+
+/**
+ * Replace the favorites and save them to localStorage
+ * @param {string[]} ids - Pioneer ids in display order
+ * @returns {string[]} The saved list (invalid and repeated ids dropped)
+ */
+export function setFavorites(ids) {
+  favorites = normalizeIds(ids);
+
+  try {
+    localStorage.setItem(FAVORITES_STORAGE_KEY, JSON.stringify(favorites));
+  } catch (error) {
+    console.warn("Failed to save favorites:", error);
+  }
+  return [...favorites];
+}
+
+/**
+ * Add a pioneer to the favorites, or remove it
+ * @param {string} pioneerId - Pioneer id
+ * @returns {boolean} Whether the pioneer is now a favorite
+ */
+export function toggleFavorite(pioneerId) {
+  const ids = getFavorites();
+
+  if (ids.includes(pioneerId)) {
+    setFavorites(ids.filter((id) => id !== pioneerId));
+    return false;
+  }
+
+  setFavorites([...ids, pioneerId]);
+  return isFavorite(pioneerId);
+}
+
+/**
+ * Serialize favorites for download
+ * @param {string[]} ids - Pioneer ids
+ * @returns {string} JSON document ({ "favorites": [...] })
+ */
+export function exportFavorites(ids = getFavorites()) {
+  return `${JSON.stringify({ favorites: normalizeIds(ids) }, null, 2)}\n`;
+}
+
+/**
+ * Read favorites from an exported file
+ * Accepts the export format or a bare array of ids.
+ * @param {string} text - File content
+ * @returns {string[]} Pioneer ids (invalid and repeated ids dropped)
+ * @throws {Error} If the content is not a favorites list
+ */
+export function parseFavorites(text) {
+  let data;
+
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error("Favorites file is not valid JSON");
+  }
+
+  const ids = Array.isArray(data) ? data : data?.favorites;
+  if (!Array.isArray(ids)) {
+    throw new Error('Favorites file has no "favorites" list');
+  }
+  return normalizeIds(ids);
+}
+
+export default getFavorites;
@@ -0,0 +1,339 @@
+/**
+ * Internationalization Utility
+ *
+ * Message catalogs and locale-aware formatting for the whole page:
+ * - Catalogs live in src/locales/<locale>.json (flat, dotted keys); a
+ *   message missing from the current catalog falls back to English
+ * - Locale detection: saved choice, then navigator.languages, then English
+ * - {name} placeholders, and plural forms ({ "one": …, "other": … })
+ *   picked with Intl.PluralRules from the "count" parameter
+ * - Number, year, date and list formatting through Intl
+ * - Sets lang and dir (right-to-left languages) on <html> and translates
+ *   static markup marked with data-i18n / data-i18n-attr
+ */
+
+import en from "../../locales/en.json";
+import es from "../../locales/es.json";
+
+// Supported locales: name in its own language and message catalog
+export const LOCALES = {
+  en: { label: "English", messages: en },
+  es: { label: "Español", messages: es },
+};
+
+export const DEFAULT_LOCALE = "en";
+
+// localStorage key of the chosen locale (absent until the user picks one)
+export const LOCALE_STORAGE_KEY = "techpioneers-locale";
+
+// Languages written right to left
+const RTL_LANGUAGES = ["ar", "fa", "he", "ur"];
+
+const PLACEHOLDER_PATTERN = /\{(\w+)\}/g;
+
+let currentLocale = DEFAULT_LOCALE;
+
+// Intl formatters by locale and options (they are costly to create)
+const formatters = new Map();
+
+/**
+ * Get a cached Intl formatter for the current locale
+ * @param {Function} Formatter - Intl constructor
+ * @param {Object} options - Formatter options
+ * @returns {Object} Formatter instance
+ */
+function getFormatter(Formatter, options = {}) {
+  const key = `${Formatter.name}:${currentLocale}:${JSON.stringify(options)}`;
+
+  if (!formatters.has(key)) {
+    formatters.set(key, new Formatter(currentLocale, options));
+  }
+  return formatters.get(key);
+}
+
+/**
+ * Find a message in the current catalog, then in the English one
+ * @param {string} key - Message key
+ * @returns {string|Object|undefined} Message or plural forms
+ */
+function findMessage(key) {
+  return LOCALES[currentLocale].messages[key] ?? en[key];
+}
+
+/**
+ * Pick the plural form of a message
+ * @param {string|Object} message - Message or plural forms
+ * @param {*} count - Count the message is about
+ * @returns {string} Message text
+ */
+function selectPlural(message, count) {
+  if (typeof message === "string") {
+    return message;
+  }
+
+  const category = getFormatter(Intl.PluralRules).select(Number(count) || 0);
+  return message[category] ?? message.other;
+}
+
+/**
+ * Match a language tag against the supported locales
+ * Exact matches win, then the base language ('es-MX' → 'es').
+ * @param {string} tag - BCP 47 language tag
+ * @returns {string|null} Locale id, or null when unsupported
+ */
+export function matchLocale(tag) {
+  if (typeof tag !== "string" || tag === "") {
+    return null;
+  }
+
+  const normalized = tag.toLowerCase();
+  const base = normalized.split("-")[0];
+
+  if (Object.prototype.hasOwnProperty.call(LOCALES, normalized)) {
+    return normalized;
+  }
+  return Object.prototype.hasOwnProperty.call(LOCALES, base) ? base : null;
+}
+
+/**
+ * Load the saved locale from localStorage
+ * @returns {string|null} Saved locale or null
+ */
+export function loadLocalePreference() {
+  try {
+    return localStorage.getItem(LOCALE_STORAGE_KEY);
+  } catch (error) {
+    console.warn("Failed to load language preference:", error);
+    return null;
+  }
+}
+
+/**
+ * Save the chosen locale to localStorage
+ * @param {string} locale - Locale id
+ */
+export function saveLocalePreference(locale) {
+  try {
+    localStorage.setItem(LOCALE_STORAGE_KEY, locale);
+  } catch (error) {
+    console.warn("Failed to save language preference:", error);
+  }
+}
+
+/**
+ * Pick the locale to show
+ * @param {string[]} languages - Browser languages, most preferred first
+ * @returns {string} Saved locale, else the first supported browser
+ *   language, else DEFAULT_LOCALE
+ */
+export function detectLocale(languages = navigator.languages) {
+  const candidates = [
+    loadLocalePreference(),
+    ...(languages && languages.length > 0 ? languages : [navigator.language]),
+  ];
+
+  for (const tag of candidates) {
+    const locale = matchLocale(tag);
+    if (locale) {
+      return locale;
+    }
+  }
+  return DEFAULT_LOCALE;
+}
+
+/**
+ * Get the writing direction of a locale
+ * @param {string} locale - Locale id or language tag
+ * @returns {string} 'rtl' or 'ltr'
+ */
+export function getDirection(locale) {
+  return RTL_LANGUAGES.includes(locale.split("-")[0]) ? "rtl" : "ltr";
+}
+
+/**
+ * Switch the current locale
+ * Updates lang and dir on <html>; components read the locale when they
+ * render, so this must run before they are created.
+ * @param {string} locale - Locale id (see LOCALES)
+ * @returns {boolean} False if the locale is not supported
+ */
+export function setLocale(locale) {
+  if (!Object.prototype.hasOwnProperty.call(LOCALES, locale)) {
+    console.warn(`Unsupported locale: ${locale}`);
+    return false;
+  }
+
+  currentLocale = locale;
+  document.documentElement.setAttribute("lang", locale);
+  document.documentElement.setAttribute("dir", getDirection(locale));
+  return true;
+}
+
+/**
+ * Get the current locale
+ * @returns {string} Locale id
+ */
+export function getLocale() {
+  return currentLocale;
+}
+
+/**
+ * Check whether a message exists in any catalog
+ * @param {string} key - Message key
+ * @returns {boolean} True if t() has a translation for it
+ */
+export function hasMessage(key) {
+  return findMessage(key) !== undefined;
+}
+
+/**
+ * Translate a message
+ * Numbers in params are formatted for the locale; pass years through
+ * formatYear() first so they are not grouped.
+ * @param {string} key - Message key
+ * @param {Object} params - Placeholder values ("count" also picks the
+ *   plural form)
+ * @returns {string} Translated text (the key itself when missing)
+ */
+export function t(key, params = {}) {
+  const message = findMessage(key);
+
+  if (message === undefined) {
+    console.warn(`Missing message: ${key}`);
+    return key;
+  }
+
+  return selectPlural(message, params.count).replace(
+    PLACEHOLDER_PATTERN,
+    (placeholder, name) => {
+      const value = params[name];
+
+      if (value === undefined) {
+        return placeholder;
+      }
+      return typeof value === "number" ? formatNumber(value) : String(value);
+    }
+  );
+}
+
+/**
+ * Translate a message whose placeholders hold DOM nodes
+ * @param {string} key - Message key
+ * @param {Object} params - Placeholder values (nodes, strings or numbers)
+ * @returns {Array<Node|string>} Text and nodes, ready for createElement
+ */
+export function tNodes(key, params = {}) {
+  const text = t(key, { count: params.count });
+  const parts = [];
+  let lastIndex = 0;
+
+  text.replace(PLACEHOLDER_PATTERN, (placeholder, name, index) => {
+    parts.push(text.slice(lastIndex, index));
+    lastIndex = index + placeholder.length;
+
+    const value = params[name];
+    if (value === undefined) {
+      parts.push(placeholder);
+    } else if (typeof value === "number") {
+      parts.push(formatNumber(value));
+    } else if (Array.isArray(value)) {
+      parts.push(...value);
+    } else {
+      parts.push(value);
+    }
+    return placeholder;
+  });
+
+  parts.push(text.slice(lastIndex));
+  return parts.filter((part) => part !== "");
+}
+
+/**
+ * Get a label that comes from a data file
+ * The catalog can override it; otherwise the data's own (English) label
+ * is shown.
+ * @param {string} key - Message key
+ * @param {string} fallback - Label from the data
+ * @returns {string} Label
+ */
+export function translateLabel(key, fallback) {
+  return hasMessage(key) ? t(key) : fallback;
+}
+
+/**
+ * Format a number for the current locale
+ * @param {number} value - Number
+ * @param {Object} options - Intl.NumberFormat options
+ * @returns {string} Formatted number
+ */
+export function formatNumber(value, options = {}) {
+  return getFormatter(Intl.NumberFormat, options).format(value);
+}
+
+/**
+ * Format a year (digits in the locale's numbering, never grouped)
+ * @param {number} year - Year
+ * @returns {string} Formatted year
+ */
+export function formatYear(year) {
+  return formatNumber(year, { useGrouping: false });
+}
+
+/**
+ * Format a calendar date
+ * ISO dates ('2024-05-01') are read as UTC so they never shift a day.
+ * @param {Date|string} value - Date or ISO date string
+ * @param {Object} options - Intl.DateTimeFormat options
+ * @returns {string} Formatted date
+ */
+export function formatDate(value, options = { dateStyle: "long" }) {
+  const date =
+    typeof value === "string" ? new Date(`${value}T00:00:00Z`) : value;
+
+  return getFormatter(Intl.DateTimeFormat, {
+    ...options,
+    timeZone: "UTC",
+  }).format(date);
+}
+
+/**
+ * Join items into a sentence list ('A, B and C')
+ * @param {string[]} items - Items
+ * @returns {string} Formatted list
+ */
+export function formatList(items) {
+  return getFormatter(Intl.ListFormat, { type: "conjunction" }).format(items);
+}
+
+/**
+ * Compare two strings for sorting in the current locale
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Negative, zero or positive
+ */
+export function compareText(a, b) {
+  return getFormatter(Intl.Collator).compare(a, b);
+}
+
+/**
+ * Translate static markup
+ * data-i18n="key" replaces the text; data-i18n-attr="attr:key; attr:key"
+ * replaces attributes (aria-label, placeholder, content, …).
+ * @param {ParentNode} root - Element to translate (default: document)
+ */
+export function translateStatic(root = document) {
+  root.querySelectorAll("[data-i18n]").forEach((element) => {
+    element.textContent = t(element.dataset.i18n);
+  });
+
+  root.querySelectorAll("[data-i18n-attr]").forEach((element) => {
+    element.dataset.i18nAttr.split(";").forEach((pair) => {
+      const [attribute, key] = pair.split(":").map((part) => part.trim());
+      if (attribute && key) {
+        element.setAttribute(attribute, t(key));
+      }
+    });
+  });
+}
+
+export default t;
@@ -0,0 +1,499 @@
+/**
+ * Pioneer Data Utility
+ *
+ * Single data layer for every pioneer shown on the page:
+ * - Loads the dataset from src/data/pioneers.json
+ * - Validates each record against the rules in pioneers.schema.json
+ * - Reports malformed records and leaves them out of the result
+ * - Caches the result so every consumer reads the same objects
+ * - Checks optional profile sections (timeline, quotes, publications,
+ *   awards, related pioneers, sources) and their citations
+ * - Derives birth year, death year and era from the "years" field
+ * - Applies the current locale's translations (pioneers.<locale>.json);
+ *   anything missing or malformed stays in English, field by field
+ */
+
+import dataset from "../../data/pioneers.json";
+import translationsEs from "../../data/pioneers.es.json";
+import { formatYear, getLocale, t } from "./i18n.js";
+
+// Mirrors the patterns declared in pioneers.schema.json
+const ID_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+const YEARS_PATTERN = /^\d{4} - (\d{4}|Present)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const URL_PATTERN = /^https?:\/\//;
+
+const ALLOWED_FIELDS = [
+  "id",
+  "name",
+  "featured",
+  "role",
+  "years",
+  "fields",
+  "image",
+  "imageWebP",
+  "summary",
+  "bio",
+  "achievements",
+  "timeline",
+  "quotes",
+  "publications",
+  "awards",
+  "related",
+  "sources",
+];
+
+// Optional profile sections: allowed keys and a check for each entry
+const SECTION_RULES = {
+  timeline: {
+    keys: ["year", "event", "cite"],
+    check: (entry) => isYear(entry.year) && isNonEmptyString(entry.event),
+    message: "entries need a year and an event",
+  },
+  quotes: {
+    keys: ["text", "source", "cite"],
+    check: (entry) =>
+      isNonEmptyString(entry.text) && isOptionalString(entry.source),
+    message: "entries need a text (source is optional)",
+  },
+  publications: {
+    keys: ["title", "year", "url", "cite"],
+    check: (entry) =>
+      isNonEmptyString(entry.title) &&
+      (entry.year === undefined || isYear(entry.year)) &&
+      (entry.url === undefined || URL_PATTERN.test(entry.url)),
+    message: "entries need a title (year and http(s) url are optional)",
+  },
+  awards: {
+    keys: ["name", "year", "cite"],
+    check: (entry) => isNonEmptyString(entry.name) && isYear(entry.year),
+    message: "entries need a name and a year",
+  },
+  sources: {
+    keys: ["id", "title", "url", "publisher", "accessed"],
+    check: (entry) =>
+      ID_PATTERN.test(entry.id ?? "") &&
+      isNonEmptyString(entry.title) &&
+      URL_PATTERN.test(entry.url ?? "") &&
+      isOptionalString(entry.publisher) &&
+      (entry.accessed === undefined || DATE_PATTERN.test(entry.accessed)),
+    message: "entries need a kebab-case id, a title and an http(s) url",
+  },
+};
+
+// Fields required once a record has a full profile (bio)
+const PROFILE_FIELDS = ["role", "years", "achievements"];
+
+// Translated pioneer text by locale (English lives in pioneers.json)
+const TRANSLATIONS = {
+  es: translationsEs,
+};
+
+// Fields a translation may replace (mirrors pioneers.locale.schema.json)
+const TRANSLATABLE_FIELDS = [
+  "role",
+  "summary",
+  "bio",
+  "achievements",
+  "timeline",
+];
+
+// Eras by birth year, used to group pioneers (ordered oldest first);
+// labels are in the message catalogs (era.<id>)
+export const ERAS = [
+  { id: "early", until: 1929 },
+  { id: "mid-century", until: 1949 },
+  { id: "modern", until: Infinity },
+];
+
+// Loaded datasets by locale
+const cachedData = new Map();
+
+/**
+ * Check whether a value is a non-empty string
+ * @param {*} value - Value to check
+ * @returns {boolean} True for strings with visible content
+ */
+function isNonEmptyString(value) {
+  return typeof value === "string" && value.trim().length > 0;
+}
+
+/**
+ * Check whether a value is absent or a non-empty string
+ * @param {*} value - Value to check
+ * @returns {boolean} True for undefined or strings with visible content
+ */
+function isOptionalString(value) {
+  return value === undefined || isNonEmptyString(value);
+}
+
+/**
+ * Check whether a value is a non-empty list of non-empty strings
+ * @param {*} value - Value to check
+ * @returns {boolean} True for valid text lists
+ */
+function isTextList(value) {
+  return (
+    Array.isArray(value) &&
+    value.length > 0 &&
+    value.every((item) => isNonEmptyString(item))
+  );
+}
+
+/**
+ * Check whether a value is a plausible four-digit year
+ * @param {*} value - Value to check
+ * @returns {boolean} True for integers from 1000 to 9999
+ */
+function isYear(value) {
+  return Number.isInteger(value) && value >= 1000 && value <= 9999;
+}
+
+/**
+ * Validate an optional profile section (see SECTION_RULES)
+ * @param {Object} record - Raw record from the dataset
+ * @param {string} field - Section name
+ * @returns {string[]} List of problems
+ */
+function validateSection(record, field) {
+  const entries = record[field];
+  const rule = SECTION_RULES[field];
+
+  if (entries === undefined) {
+    return [];
+  }
+
+  if (!Array.isArray(entries) || entries.length === 0) {
+    return [`"${field}" must be a non-empty list`];
+  }
+
+  const sourceIds = new Set(
+    Array.isArray(record.sources)
+      ? record.sources.map((source) => source?.id)
+      : []
+  );
+  const errors = [];
+
+  entries.forEach((entry, index) => {
+    const label = `"${field}[${index}]"`;
+
+    if (!entry || typeof entry !== "object" || Array.isArray(entry)) {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+
+    if (!rule.check(entry)) {
+      errors.push(`${label}: ${rule.message}`);
+    }
+
+    Object.keys(entry).forEach((key) => {
+      if (!rule.keys.includes(key)) {
+        errors.push(`${label} has unknown field "${key}"`);
+      }
+    });
+
+    // Citations must point at this record's own sources
+    if (entry.cite !== undefined) {
+      if (!Array.isArray(entry.cite) || entry.cite.length === 0) {
+        errors.push(`${label}.cite must be a non-empty list of source ids`);
+      } else {
+        entry.cite
+          .filter((id) => !sourceIds.has(id))
+          .forEach((id) =>
+            errors.push(`${label} cites unknown source "${id}"`)
+          );
+      }
+    }
+  });
+
+  if (field === "sources" && sourceIds.size !== entries.length) {
+    errors.push('"sources" ids must be unique');
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a single pioneer record
+ * @param {Object} record - Raw record from the dataset
+ * @returns {string[]} List of problems (empty when the record is valid)
+ */
+export function validatePioneer(record) {
+  if (!record || typeof record !== "object" || Array.isArray(record)) {
+    return ["record must be an object"];
+  }
+
+  const errors = [];
+
+  ["id", "name", "image", "summary"].forEach((field) => {
+    if (!isNonEmptyString(record[field])) {
+      errors.push(`"${field}" is required`);
+    }
+  });
+
+  if (isNonEmptyString(record.id) && !ID_PATTERN.test(record.id)) {
+    errors.push(`"id" must be kebab-case (got "${record.id}")`);
+  }
+
+  if (record.featured !== undefined && typeof record.featured !== "boolean") {
+    errors.push('"featured" must be a boolean');
+  }
+
+  ["role", "bio"].forEach((field) => {
+    if (record[field] !== undefined && !isNonEmptyString(record[field])) {
+      errors.push(`"${field}" must be a non-empty string`);
+    }
+  });
+
+  if (record.years !== undefined && !YEARS_PATTERN.test(record.years)) {
+    errors.push('"years" must look like "1918 - 2020" or "1951 - Present"');
+  }
+
+  ["image", "imageWebP"].forEach((field) => {
+    const value = record[field];
+    if (value !== undefined && !(isNonEmptyString(value) && value[0] === "/")) {
+      errors.push(`"${field}" must be an absolute path`);
+    }
+  });
+
+  if (record.achievements !== undefined && !isTextList(record.achievements)) {
+    errors.push('"achievements" must be a non-empty list of strings');
+  }
+
+  if (
+    record.fields !== undefined &&
+    (!Array.isArray(record.fields) ||
+      !record.fields.every((field) => ID_PATTERN.test(field)) ||
+      new Set(record.fields).size !== record.fields.length)
+  ) {
+    errors.push('"fields" must be a list of unique kebab-case names');
+  }
+
+  Object.keys(SECTION_RULES).forEach((field) => {
+    errors.push(...validateSection(record, field));
+  });
+
+  if (
+    record.related !== undefined &&
+    (!Array.isArray(record.related) ||
+      !record.related.every((id) => ID_PATTERN.test(id)) ||
+      new Set(record.related).size !== record.related.length ||
+      record.related.includes(record.id))
+  ) {
+    errors.push('"related" must be a list of unique ids of other pioneers');
+  }
+
+  if (record.bio !== undefined) {
+    PROFILE_FIELDS.forEach((field) => {
+      if (record[field] === undefined) {
+        errors.push(`"${field}" is required when "bio" is present`);
+      }
+    });
+  }
+
+  Object.keys(record).forEach((field) => {
+    if (!ALLOWED_FIELDS.includes(field)) {
+      errors.push(`unknown field "${field}"`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Apply a translation to a validated pioneer
+ * Only fields the English record has can be translated; malformed fields
+ * are logged and keep their English text.
+ * @param {Object} pioneer - Validated English record
+ * @param {Object} translation - Entry from pioneers.<locale>.json
+ * @param {string} locale - Locale id, for messages
+ * @returns {Object} Translated copy of the record
+ */
+function translatePioneer(pioneer, translation, locale) {
+  if (
+    !translation ||
+    typeof translation !== "object" ||
+    Array.isArray(translation)
+  ) {
+    console.error(`Invalid ${locale} translation of "${pioneer.id}"`);
+    return pioneer;
+  }
+
+  const translated = { ...pioneer };
+  const errors = [];
+
+  Object.entries(translation).forEach(([field, value]) => {
+    if (!TRANSLATABLE_FIELDS.includes(field)) {
+      errors.push(`unknown field "${field}"`);
+    } else if (pioneer[field] === undefined) {
+      errors.push(`"${field}" has no English text to translate`);
+    } else if (field === "timeline") {
+      if (!isTextList(value) || value.length !== pioneer.timeline.length) {
+        errors.push('"timeline" needs one text per timeline entry');
+        return;
+      }
+      translated.timeline = pioneer.timeline.map((entry, index) => ({
+        ...entry,
+        event: value[index],
+      }));
+    } else if (field === "achievements") {
+      if (!isTextList(value)) {
+        errors.push('"achievements" must be a non-empty list of strings');
+        return;
+      }
+      translated.achievements = [...value];
+    } else if (isNonEmptyString(value)) {
+      translated[field] = value;
+    } else {
+      errors.push(`"${field}" must be a non-empty string`);
+    }
+  });
+
+  if (errors.length > 0) {
+    console.error(
+      `Invalid ${locale} translation of "${pioneer.id}": ${errors.join("; ")}`
+    );
+  }
+
+  return translated;
+}
+
+/**
+ * Check whether a pioneer has enough data to open a full profile
+ * @param {Object} pioneer - Validated pioneer record
+ * @returns {boolean} True if the record has a biography
+ */
+export function hasProfile(pioneer) {
+  return Boolean(pioneer && pioneer.bio);
+}
+
+/**
+ * Get the birth year from the "years" field
+ * @param {Object} pioneer - Pioneer record
+ * @returns {number|null} Birth year, or null when unknown
+ */
+export function getBirthYear(pioneer) {
+  const match = /^(\d{4})/.exec((pioneer && pioneer.years) || "");
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * Get the death year from the "years" field
+ * @param {Object} pioneer - Pioneer record
+ * @returns {number|null} Death year, or null when living or unknown
+ */
+export function getDeathYear(pioneer) {
+  const match = /- (\d{4})$/.exec((pioneer && pioneer.years) || "");
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * Format the lifespan for the current locale
+ * @param {Object} pioneer - Pioneer record
+ * @returns {string} e.g. '1815 - 1852' or '1951 - Present' (translated),
+ *   or the raw "years" field when it has no birth year
+ */
+export function formatYears(pioneer) {
+  const birthYear = getBirthYear(pioneer);
+  const deathYear = getDeathYear(pioneer);
+
+  if (birthYear === null) {
+    return (pioneer && pioneer.years) || "";
+  }
+
+  return t("pioneer.years", {
+    born: formatYear(birthYear),
+    died: deathYear === null ? t("pioneer.present") : formatYear(deathYear),
+  });
+}
+
+/**
+ * Get the era a pioneer belongs to
+ * @param {Object} pioneer - Pioneer record
+ * @returns {Object|null} Entry from ERAS, or null without a birth year
+ */
+export function getEra(pioneer) {
+  const birthYear = getBirthYear(pioneer);
+
+  if (birthYear === null) {
+    return null;
+  }
+
+  return ERAS.find((era) => birthYear <= era.until) || null;
+}
+
+/**
+ * Load and validate the pioneer dataset
+ * Invalid records are logged and skipped; the result is cached per locale.
+ * @param {Object} options - Load options
+ * @param {string} options.locale - Locale of the text (default: current)
+ * @returns {Promise<{pioneers: Object[], byId: Object, invalid: Object[]}>}
+ *   Valid pioneers in display order, the same records keyed by id, and a
+ *   report of every rejected record
+ */
+export async function loadPioneerData({ locale = getLocale() } = {}) {
+  if (cachedData.has(locale)) {
+    return cachedData.get(locale);
+  }
+
+  const records = dataset && dataset.pioneers;
+  const translations =
+    (TRANSLATIONS[locale] && TRANSLATIONS[locale].pioneers) || {};
+  const pioneers = [];
+  const byId = {};
+  const invalid = [];
+
+  if (!Array.isArray(records)) {
+    console.error('Pioneer dataset is missing its "pioneers" list');
+  } else {
+    records.forEach((record, index) => {
+      const errors = validatePioneer(record);
+
+      if (errors.length === 0 && byId[record.id]) {
+        errors.push(`duplicate id "${record.id}"`);
+      }
+
+      if (errors.length > 0) {
+        const label = isNonEmptyString(record?.id) ? record.id : "no id";
+        invalid.push({ index, id: record?.id ?? null, errors });
+        console.error(
+          `Invalid pioneer record #${index} (${label}): ${errors.join("; ")}`
+        );
+        return;
+      }
+
+      let pioneer = { ...record, featured: record.featured === true };
+      if (translations[pioneer.id] !== undefined) {
+        pioneer = translatePioneer(pioneer, translations[pioneer.id], locale);
+      }
+      pioneers.push(pioneer);
+      byId[pioneer.id] = pioneer;
+    });
+
+    // Related ids can only be checked once every record is known
+    pioneers.forEach((pioneer) => {
+      if (!pioneer.related) {
+        return;
+      }
+
+      pioneer.related = pioneer.related.filter((id) => {
+        if (!byId[id]) {
+          console.warn(`Pioneer "${pioneer.id}" relates to unknown "${id}"`);
+        }
+        return Boolean(byId[id]);
+      });
+    });
+  }
+
+  Object.keys(translations)
+    .filter((id) => !byId[id])
+    .forEach((id) => {
+      console.warn(`The ${locale} translations include unknown "${id}"`);
+    });
+
+  const data = { pioneers, byId, invalid };
+  cachedData.set(locale, data);
+  return data;
+}
+
+export default loadPioneerData;
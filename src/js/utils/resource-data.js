@@ -0,0 +1,208 @@
+/**
+ * Resource Data Utility
+ *
+ * Data layer for the Resources section and pioneer profiles:
+ * - Loads categories, types and resources from src/data/resources.json
+ * - Validates them against the rules in resources.schema.json
+ * - Reports malformed resources and leaves them out of the result
+ * - Indexes resources by related pioneer and caches the result
+ */
+
+import dataset from "../../data/resources.json";
+
+// Mirrors the patterns declared in resources.schema.json
+const ID_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+const URL_PATTERN = /^https?:\/\//;
+const ICONS = ["book", "file", "calendar", "globe"];
+
+const ALLOWED_FIELDS = [
+  "id",
+  "title",
+  "url",
+  "type",
+  "source",
+  "category",
+  "description",
+  "pioneers",
+  "tags",
+];
+
+let cachedData = null;
+
+/**
+ * Check whether a value is a non-empty string
+ * @param {*} value - Value to check
+ * @returns {boolean} True for strings with visible content
+ */
+function isNonEmptyString(value) {
+  return typeof value === "string" && value.trim().length > 0;
+}
+
+/**
+ * Check whether a value is a list of unique kebab-case ids
+ * @param {*} value - Value to check
+ * @returns {boolean} True for valid id lists
+ */
+function isIdList(value) {
+  return (
+    Array.isArray(value) &&
+    value.every((id) => ID_PATTERN.test(id)) &&
+    new Set(value).size === value.length
+  );
+}
+
+/**
+ * Validate a list of categories or types
+ * @param {*} entries - Raw list
+ * @param {string} name - List name, for messages
+ * @param {Function} check - Extra check for each entry
+ * @returns {Object[]} Valid entries (invalid ones are logged)
+ */
+function getValidEntries(entries, name, check = () => true) {
+  if (!Array.isArray(entries)) {
+    console.error(`Resource dataset is missing its "${name}" list`);
+    return [];
+  }
+
+  return entries.filter((entry, index) => {
+    const isValid =
+      ID_PATTERN.test(entry?.id ?? "") &&
+      isNonEmptyString(entry.label) &&
+      check(entry);
+
+    if (!isValid) {
+      console.error(`Invalid resource ${name} entry #${index}`);
+    }
+    return isValid;
+  });
+}
+
+/**
+ * Validate a single resource
+ * @param {Object} record - Raw resource from the dataset
+ * @param {Object} known - Known ids
+ * @param {string[]} known.categories - Category ids
+ * @param {string[]} known.types - Type ids
+ * @returns {string[]} List of problems (empty when the resource is valid)
+ */
+export function validateResource(record, { categories = [], types = [] } = {}) {
+  if (!record || typeof record !== "object" || Array.isArray(record)) {
+    return ["resource must be an object"];
+  }
+
+  const errors = [];
+
+  ["id", "title", "url", "type", "source", "category", "description"].forEach(
+    (field) => {
+      if (!isNonEmptyString(record[field])) {
+        errors.push(`"${field}" is required`);
+      }
+    }
+  );
+
+  if (isNonEmptyString(record.id) && !ID_PATTERN.test(record.id)) {
+    errors.push(`"id" must be kebab-case (got "${record.id}")`);
+  }
+
+  if (isNonEmptyString(record.url) && !URL_PATTERN.test(record.url)) {
+    errors.push('"url" must start with http:// or https://');
+  }
+
+  if (isNonEmptyString(record.type) && !types.includes(record.type)) {
+    errors.push(`unknown type "${record.type}"`);
+  }
+
+  if (
+    isNonEmptyString(record.category) &&
+    !categories.includes(record.category)
+  ) {
+    errors.push(`unknown category "${record.category}"`);
+  }
+
+  if (record.pioneers !== undefined && !isIdList(record.pioneers)) {
+    errors.push('"pioneers" must be a list of unique pioneer ids');
+  }
+
+  if (record.tags !== undefined && !isIdList(record.tags)) {
+    errors.push('"tags" must be a list of unique kebab-case tags');
+  }
+
+  Object.keys(record).forEach((field) => {
+    if (!ALLOWED_FIELDS.includes(field)) {
+      errors.push(`unknown field "${field}"`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Load and validate the resource dataset
+ * Invalid resources are logged and skipped; the result is cached.
+ * @returns {Promise<{categories: Object[], types: Object[],
+ *   resources: Object[], byId: Object, byPioneer: Object,
+ *   invalid: Object[]}>} Categories and types in display order, valid
+ *   resources in dataset order, the same resources keyed by id and by
+ *   related pioneer id, and a report of rejected resources
+ */
+export async function loadResourceData() {
+  if (cachedData) {
+    return cachedData;
+  }
+
+  const categories = getValidEntries(
+    dataset && dataset.categories,
+    "categories"
+  );
+  const types = getValidEntries(dataset && dataset.types, "types", (type) =>
+    ICONS.includes(type.icon)
+  );
+  const known = {
+    categories: categories.map((category) => category.id),
+    types: types.map((type) => type.id),
+  };
+  const records = dataset && dataset.resources;
+  const resources = [];
+  const byId = {};
+  const byPioneer = {};
+  const invalid = [];
+
+  if (!Array.isArray(records)) {
+    console.error('Resource dataset is missing its "resources" list');
+  } else {
+    records.forEach((record, index) => {
+      const errors = validateResource(record, known);
+
+      if (errors.length === 0 && byId[record.id]) {
+        errors.push(`duplicate id "${record.id}"`);
+      }
+
+      if (errors.length > 0) {
+        const label = isNonEmptyString(record?.id) ? record.id : "no id";
+        invalid.push({ index, id: record?.id ?? null, errors });
+        console.error(
+          `Invalid resource #${index} (${label}): ${errors.join("; ")}`
+        );
+        return;
+      }
+
+      const resource = {
+        ...record,
+        pioneers: record.pioneers || [],
+        tags: record.tags || [],
+      };
+      resources.push(resource);
+      byId[resource.id] = resource;
+
+      resource.pioneers.forEach((pioneerId) => {
+        byPioneer[pioneerId] = byPioneer[pioneerId] || [];
+        byPioneer[pioneerId].push(resource);
+      });
+    });
+  }
+
+  cachedData = { categories, types, resources, byId, byPioneer, invalid };
+  return cachedData;
+}
+
+export default loadResourceData;
@@ -0,0 +1,153 @@
+/**
+ * Rich Text Utility
+ *
+ * Safe rendering of the small formatting subset allowed in pioneer data:
+ * - **strong**, *emphasis* and [links](https://example.com)
+ * - Backslash escapes for literal characters (\*, \[, \], \\)
+ * - Blank lines separate paragraphs
+ *
+ * Text never goes through innerHTML: everything is built with createElement
+ * and inserted as text nodes, and link URLs are checked against a
+ * whitelist of protocols.
+ */
+
+import { createElement } from "./dom.js";
+
+// Inline syntax: escape | **strong** | *emphasis* | [label](url)
+const INLINE_PATTERN =
+  /\\([\\*[\]])|\*\*(.+?)\*\*|\*(.+?)\*|\[([^\]]+)\]\(([^\s)]+)\)/g;
+
+// Protocols allowed in absolute link URLs
+const SAFE_PROTOCOLS = ["http:", "https:", "mailto:"];
+
+/**
+ * Check a link URL against the whitelist
+ * Site-relative paths and fragments are allowed as-is.
+ * @param {string} url - URL from the data
+ * @returns {string|null} Safe URL, or null when it is not allowed
+ */
+export function sanitizeUrl(url) {
+  const value = String(url || "").trim();
+
+  if (
+    (value.startsWith("/") && !value.startsWith("//")) ||
+    value.startsWith("#")
+  ) {
+    return value;
+  }
+
+  try {
+    const parsed = new window.URL(value);
+    return SAFE_PROTOCOLS.includes(parsed.protocol) ? parsed.href : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Create a link element
+ * External links open in a new tab without access to this page.
+ * @param {string} href - Sanitized URL
+ * @param {Array<Node|string>} children - Link content
+ * @returns {HTMLElement} <a> element
+ */
+function createLink(href, children) {
+  const isExternal = /^https?:/.test(href);
+
+  return createElement(
+    "a",
+    {
+      href,
+      target: isExternal ? "_blank" : null,
+      rel: isExternal ? "noopener noreferrer" : null,
+    },
+    children
+  );
+}
+
+/**
+ * Render inline formatting into nodes
+ * @param {string} text - Source text
+ * @returns {Array<Node|string>} Nodes and plain strings
+ */
+function renderInline(text) {
+  const nodes = [];
+  let lastIndex = 0;
+
+  for (const match of text.matchAll(INLINE_PATTERN)) {
+    const [source, escaped, strong, emphasis, label, url] = match;
+
+    if (match.index > lastIndex) {
+      nodes.push(text.slice(lastIndex, match.index));
+    }
+
+    if (escaped !== undefined) {
+      nodes.push(escaped);
+    } else if (strong !== undefined) {
+      nodes.push(createElement("strong", {}, renderInline(strong)));
+    } else if (emphasis !== undefined) {
+      nodes.push(createElement("em", {}, renderInline(emphasis)));
+    } else {
+      const href = sanitizeUrl(url);
+
+      // Unsafe links keep their label as plain text
+      if (href) {
+        nodes.push(createLink(href, renderInline(label)));
+      } else {
+        console.warn(`Dropped unsafe link URL: ${url}`);
+        nodes.push(...renderInline(label));
+      }
+    }
+
+    lastIndex = match.index + source.length;
+  }
+
+  if (lastIndex < text.length) {
+    nodes.push(text.slice(lastIndex));
+  }
+
+  return nodes;
+}
+
+/**
+ * Render a line of rich text
+ * @param {string} text - Source text
+ * @returns {DocumentFragment} Rendered nodes
+ */
+export function renderRichText(text) {
+  const fragment = document.createDocumentFragment();
+  fragment.append(...renderInline(String(text ?? "")));
+  return fragment;
+}
+
+/**
+ * Render rich text as paragraphs (split on blank lines)
+ * @param {string} text - Source text
+ * @param {Object} attributes - Attributes for each <p>
+ * @returns {HTMLElement[]} Paragraph elements
+ */
+export function renderRichParagraphs(text, attributes = {}) {
+  return String(text ?? "")
+    .split(/\n\s*\n/)
+    .map((paragraph) => paragraph.trim())
+    .filter(Boolean)
+    .map((paragraph) =>
+      createElement("p", attributes, [renderRichText(paragraph)])
+    );
+}
+
+/**
+ * Strip the formatting syntax, keeping only the readable text
+ * Useful for search indexes, excerpts and attributes.
+ * @param {string} text - Source text
+ * @returns {string} Plain text
+ */
+export function toPlainText(text) {
+  return String(text ?? "").replace(
+    INLINE_PATTERN,
+    (source, escaped, strong, emphasis, label) =>
+      escaped ?? toPlainText(strong ?? emphasis ?? label)
+  );
+}
+
+export default renderRichText;
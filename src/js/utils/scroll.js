@@ -0,0 +1,39 @@
+/**
+ * Scroll Utility
+ *
+ * Smooth scrolling that accounts for the sticky header, shared by
+ * navigation links and anything else that jumps to a page element.
+ */
+
+// 8px top + 8px bottom spacing around the sticky header
+const HEADER_MARGIN = 16;
+
+/**
+ * Get the scroll position that places an element below the sticky header
+ * @param {HTMLElement} element - Target element
+ * @returns {number} Scroll position in pixels
+ */
+export function getScrollTarget(element) {
+  const header = document.querySelector(".header");
+  const headerHeight = header ? header.offsetHeight : 0;
+
+  return (
+    element.getBoundingClientRect().top +
+    window.pageYOffset -
+    headerHeight -
+    HEADER_MARGIN
+  );
+}
+
+/**
+ * Smooth scroll to an element, offset by the sticky header
+ * @param {HTMLElement} element - Target element
+ */
+export function scrollToElement(element) {
+  window.scrollTo({
+    top: getScrollTarget(element),
+    behavior: "smooth",
+  });
+}
+
+export default scrollToElement;
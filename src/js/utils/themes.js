@@ -0,0 +1,25 @@
+/**
+ * Theme Registry
+ *
+ * Shared by ThemeSwitcher and the pre-paint theme bootstrap
+ * (vite.config.js passes the ids and storage key to theme-bootstrap.js):
+ * - Selectable themes and the color scheme each builds on
+ * - The "system" mode and the localStorage key of the saved choice
+ */
+
+// Selectable themes and the color scheme each builds on
+// (labels are in the message catalogs: theme.<id>)
+export const THEMES = {
+  light: { scheme: "light" },
+  dark: { scheme: "dark" },
+  "high-contrast": { scheme: "dark" },
+  sepia: { scheme: "light" },
+};
+
+// Mode that follows prefers-color-scheme instead of a fixed theme
+export const SYSTEM_MODE = "system";
+
+// localStorage key of the saved theme (absent while following the system)
+export const THEME_STORAGE_KEY = "techpioneers-theme";
+
+export default THEMES;
@@ -0,0 +1,183 @@
+/**
+ * Timeline Data Utility
+ *
+ * Data layer for the Timeline of Innovation section:
+ * - Loads categories and events from src/data/timeline.json
+ * - Validates them against the rules in timeline.schema.json
+ * - Reports malformed events and leaves them out of the result
+ * - Sorts events by year and caches the result
+ * - Derives the decade of an event for filtering
+ */
+
+import dataset from "../../data/timeline.json";
+
+// Mirrors the patterns declared in timeline.schema.json
+const ID_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+const ALLOWED_FIELDS = [
+  "id",
+  "year",
+  "title",
+  "category",
+  "description",
+  "details",
+  "pioneers",
+];
+
+let cachedData = null;
+
+/**
+ * Check whether a value is a non-empty string
+ * @param {*} value - Value to check
+ * @returns {boolean} True for strings with visible content
+ */
+function isNonEmptyString(value) {
+  return typeof value === "string" && value.trim().length > 0;
+}
+
+/**
+ * Validate the category list
+ * @param {*} categories - Raw "categories" value
+ * @returns {Object[]} Valid categories (invalid ones are logged)
+ */
+function getValidCategories(categories) {
+  if (!Array.isArray(categories)) {
+    console.error('Timeline dataset is missing its "categories" list');
+    return [];
+  }
+
+  return categories.filter((category, index) => {
+    const isValid =
+      ID_PATTERN.test(category?.id ?? "") &&
+      isNonEmptyString(category.label) &&
+      isNonEmptyString(category.icon) &&
+      category.icon[0] === "/";
+
+    if (!isValid) {
+      console.error(`Invalid timeline category #${index}`);
+    }
+    return isValid;
+  });
+}
+
+/**
+ * Validate a single timeline event
+ * @param {Object} record - Raw event from the dataset
+ * @param {string[]} categoryIds - Known category ids
+ * @returns {string[]} List of problems (empty when the event is valid)
+ */
+export function validateTimelineEvent(record, categoryIds = []) {
+  if (!record || typeof record !== "object" || Array.isArray(record)) {
+    return ["event must be an object"];
+  }
+
+  const errors = [];
+
+  ["id", "title", "category", "description"].forEach((field) => {
+    if (!isNonEmptyString(record[field])) {
+      errors.push(`"${field}" is required`);
+    }
+  });
+
+  if (isNonEmptyString(record.id) && !ID_PATTERN.test(record.id)) {
+    errors.push(`"id" must be kebab-case (got "${record.id}")`);
+  }
+
+  if (
+    !Number.isInteger(record.year) ||
+    record.year < 1000 ||
+    record.year > 9999
+  ) {
+    errors.push('"year" must be a four-digit number');
+  }
+
+  if (
+    isNonEmptyString(record.category) &&
+    !categoryIds.includes(record.category)
+  ) {
+    errors.push(`unknown category "${record.category}"`);
+  }
+
+  if (record.details !== undefined && !isNonEmptyString(record.details)) {
+    errors.push('"details" must be a non-empty string');
+  }
+
+  if (
+    record.pioneers !== undefined &&
+    (!Array.isArray(record.pioneers) ||
+      !record.pioneers.every((id) => ID_PATTERN.test(id)) ||
+      new Set(record.pioneers).size !== record.pioneers.length)
+  ) {
+    errors.push('"pioneers" must be a list of unique pioneer ids');
+  }
+
+  Object.keys(record).forEach((field) => {
+    if (!ALLOWED_FIELDS.includes(field)) {
+      errors.push(`unknown field "${field}"`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Get the decade an event belongs to
+ * @param {Object} event - Timeline event
+ * @returns {number} First year of the decade (e.g. 1970)
+ */
+export function getDecade(event) {
+  return Math.floor(event.year / 10) * 10;
+}
+
+/**
+ * Load and validate the timeline dataset
+ * Invalid events are logged and skipped; the result is cached.
+ * @returns {Promise<{categories: Object[], events: Object[], byId: Object,
+ *   invalid: Object[]}>} Categories in filter order, valid events sorted by
+ *   year, the same events keyed by id, and a report of rejected events
+ */
+export async function loadTimelineData() {
+  if (cachedData) {
+    return cachedData;
+  }
+
+  const categories = getValidCategories(dataset && dataset.categories);
+  const categoryIds = categories.map((category) => category.id);
+  const records = dataset && dataset.events;
+  const events = [];
+  const byId = {};
+  const invalid = [];
+
+  if (!Array.isArray(records)) {
+    console.error('Timeline dataset is missing its "events" list');
+  } else {
+    records.forEach((record, index) => {
+      const errors = validateTimelineEvent(record, categoryIds);
+
+      if (errors.length === 0 && byId[record.id]) {
+        errors.push(`duplicate id "${record.id}"`);
+      }
+
+      if (errors.length > 0) {
+        const label = isNonEmptyString(record?.id) ? record.id : "no id";
+        invalid.push({ index, id: record?.id ?? null, errors });
+        console.error(
+          `Invalid timeline event #${index} (${label}): ${errors.join("; ")}`
+        );
+        return;
+      }
+
+      const event = { ...record, pioneers: record.pioneers || [] };
+      events.push(event);
+      byId[event.id] = event;
+    });
+  }
+
+  // Array.prototype.sort is stable: same-year events keep dataset order
+  events.sort((a, b) => a.year - b.year);
+
+  cachedData = { categories, events, byId, invalid };
+  return cachedData;
+}
+
+export default loadTimelineData;
@@ -1,10 +1,63 @@
-import { defineConfig } from "vite";
+import { defineConfig, transformWithEsbuild } from "vite";
 import { resolve } from "path";
+import { readFileSync } from "fs";
+import { createHash } from "crypto";
+import { THEMES, THEME_STORAGE_KEY } from "./src/js/utils/themes.js";
+
+/**
+ * Theme bootstrap plugin
+ * Adds src/js/theme-bootstrap.js as a blocking script at the top of <head>
+ * so the saved theme applies before first paint. It stays an external file
+ * (served from src/ in dev, emitted as a hashed asset in builds) because the
+ * CSP in nginx.conf blocks inline scripts.
+ */
+function themeBootstrap() {
+  const file = resolve(__dirname, "src/js/theme-bootstrap.js");
+  let src = "/js/theme-bootstrap.js";
+  let isBuild = false;
+
+  return {
+    name: "theme-bootstrap",
+    configResolved(config) {
+      isBuild = config.command === "build";
+    },
+    async buildStart() {
+      if (!isBuild) {
+        return;
+      }
+
+      const { code } = await transformWithEsbuild(
+        readFileSync(file, "utf-8"),
+        file,
+        { minify: true, target: "es2020" }
+      );
+      const hash = createHash("sha256").update(code).digest("hex").slice(0, 8);
+      const fileName = `assets/js/theme-bootstrap-${hash}.js`;
+
+      this.emitFile({ type: "asset", fileName, source: code });
+      src = `/${fileName}`;
+    },
+    transformIndexHtml() {
+      return [
+        {
+          tag: "script",
+          attrs: {
+            src,
+            "data-themes": Object.keys(THEMES).join(" "),
+            "data-storage-key": THEME_STORAGE_KEY,
+          },
+          injectTo: "head-prepend",
+        },
+      ];
+    },
+  };
+}
 
 // https://vitejs.dev/config/
 export default defineConfig({
   root: "./src",
   publicDir: "../public",
+  plugins: [themeBootstrap()],
   build: {
     outDir: "../dist",
     emptyOutDir: true,